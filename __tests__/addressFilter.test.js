@@ -0,0 +1,33 @@
+// File: __tests__/addressFilter.test.js
+
+const { isPublicAddress, isPublicHost } = require('../src/utils/addressFilter');
+
+describe('addressFilter', () => {
+  test.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.20.0.1',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '::',
+    '::1',
+    'fe80::1',
+    'fd00::1',
+    '::ffff:127.0.0.1',
+    'not-an-address'
+  ])('%s is not public', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  test.each(['8.8.8.8', '203.0.113.9', '2606:4700::1111', '::ffff:8.8.8.8'])('%s is public', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+
+  test('IP literal hosts are checked without a lookup, with or without brackets', async () => {
+    await expect(isPublicHost('127.0.0.1')).resolves.toBe(false);
+    await expect(isPublicHost('[::1]')).resolves.toBe(false);
+    await expect(isPublicHost('[2606:4700::1111]')).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,111 @@
+// File: __tests__/convertBatch.test.js
+
+const request = require('supertest');
+const { google } = require('googleapis');
+const logger = require('../src/utils/logger');
+
+let app;
+let created;
+let trashed;
+
+/**
+ * Docs and Drive stand-ins: every document gets an ID from its title, and
+ * writing content fails for documents titled "Broken"
+ */
+function useFakeGoogle() {
+  created = [];
+  trashed = [];
+
+  jest.spyOn(google, 'docs').mockReturnValue({
+    documents: {
+      create: async ({ requestBody }) => {
+        created.push(requestBody.title);
+        return { data: { documentId: `doc-${requestBody.title}` } };
+      },
+      get: async () => ({ data: { revisionId: 'rev1' } }),
+      batchUpdate: async ({ documentId }) => {
+        if (documentId === 'doc-Broken') {
+          throw Object.assign(new Error('Invalid requests[0]'), { status: 400 });
+        }
+        return { data: { replies: [], writeControl: { requiredRevisionId: 'rev2' } } };
+      }
+    }
+  });
+  jest.spyOn(google, 'drive').mockReturnValue({
+    files: {
+      update: async ({ fileId }) => {
+        trashed.push(fileId);
+        return { data: {} };
+      }
+    }
+  });
+}
+
+function convertBatch(body) {
+  return request(app)
+    .post('/api/markdown/convert-batch')
+    .set('Authorization', 'Bearer token')
+    .send(body);
+}
+
+beforeAll(() => {
+  logger.silent = true;
+  app = require('../src/app');
+});
+
+beforeEach(() => {
+  useFakeGoogle();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  logger.silent = false;
+});
+
+describe('POST /api/markdown/convert-batch', () => {
+  test('creates one document per item and reports every outcome in order', async () => {
+    const response = await convertBatch({
+      items: [
+        { docName: 'First', markdown: '# One' },
+        { docName: 'Broken', markdown: 'Two' },
+        { docName: 'Third', markdown: 'Three' }
+      ]
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: false, succeeded: 2, failed: 1 });
+    expect(response.body.results).toEqual([
+      { index: 0, docName: 'First', success: true, docId: 'doc-First', docUrl: 'https://docs.google.com/document/d/doc-First/edit' },
+      { index: 1, docName: 'Broken', success: false, error: 'Failed to convert markdown to Google Doc', failedChunk: { index: 1, total: 1, firstRequest: 0, lastRequest: 0 }, rolledBack: true },
+      { index: 2, docName: 'Third', success: true, docId: 'doc-Third', docUrl: 'https://docs.google.com/document/d/doc-Third/edit' }
+    ]);
+    expect(created.sort()).toEqual(['Broken', 'First', 'Third']);
+    expect(trashed).toEqual(['doc-Broken']);
+  });
+
+  test('front matter of each item fills its fields', async () => {
+    const response = await convertBatch({
+      items: [{ markdown: '---\ntitle: From front matter\n---\nBody' }]
+    });
+
+    expect(response.body.results[0]).toMatchObject({ success: true, docName: 'From front matter' });
+  });
+
+  test('invalid items are refused before any document is created', async () => {
+    const response = await convertBatch({ items: [{ docName: 'Fine', markdown: 'ok' }, { docName: '' }] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(response.body.errors.map((error) => error.path)).toEqual(expect.arrayContaining(['items[1].markdown']));
+    expect(created).toEqual([]);
+  });
+
+  test('an empty batch is refused', async () => {
+    const response = await convertBatch({ items: [] });
+
+    expect(response.status).toBe(400);
+  });
+});
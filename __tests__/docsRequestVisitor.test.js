@@ -0,0 +1,210 @@
+// File: __tests__/docsRequestVisitor.test.js
+
+const logger = require('../src/utils/logger');
+const { parseMarkdown, processMarkdown } = require('../src/utils/markdownProcessor');
+const { createContext, visitBlocks } = require('../src/utils/docsRequestVisitor');
+const { simulateRequests, snapshotDocument } = require('../src/utils/documentSimulator');
+
+beforeAll(() => {
+  logger.silent = true;
+});
+
+afterAll(() => {
+  logger.silent = false;
+});
+
+/**
+ * Visit the markdown and summarize the non-empty paragraphs of the resulting document:
+ * text, named style, bullet nesting level and left border indent
+ */
+function convert(markdown) {
+  const context = createContext();
+  visitBlocks(parseMarkdown(markdown), context);
+
+  const { model, issues } = simulateRequests(context.requests);
+  expect(issues).toEqual([]);
+
+  return snapshotDocument(model)
+    .filter((element) => element.paragraph && element.paragraph.text)
+    .map(({ paragraph }) => {
+      const style = paragraph.paragraphStyle || {};
+      const summary = { text: paragraph.text };
+
+      if (style.namedStyleType) {
+        summary.namedStyleType = style.namedStyleType;
+      }
+      if (paragraph.bullet) {
+        summary.nestingLevel = paragraph.bullet.nestingLevel;
+      }
+      if (style.borderLeft) {
+        summary.quoteIndent = style.indentStart.magnitude;
+      }
+
+      return summary;
+    });
+}
+
+/**
+ * Convert markdown and return its tables as rows of { text, bold, alignment } cells
+ */
+function convertTables(markdown) {
+  const { model, issues } = simulateRequests(processMarkdown(markdown).requests);
+  expect(issues).toEqual([]);
+
+  return snapshotDocument(model)
+    .filter((element) => element.table)
+    .map(({ table }) => ({
+      pinnedHeaderRows: table.pinnedHeaderRows,
+      rows: table.rows.map((row) => row.map(([paragraph]) => ({
+        text: paragraph.text,
+        bold: paragraph.runs.some((run) => run.textStyle.bold),
+        alignment: (paragraph.paragraphStyle || {}).alignment
+      })))
+    }));
+}
+
+describe('docsRequestVisitor', () => {
+  test('setext headings become HEADING_1 and HEADING_2', () => {
+    expect(convert('Title\n=====\n\nSubtitle\n--------\n\nBody text')).toEqual([
+      { text: 'Title', namedStyleType: 'HEADING_1' },
+      { text: 'Subtitle', namedStyleType: 'HEADING_2' },
+      { text: 'Body text' }
+    ]);
+  });
+
+  test('lazy continuation lines join their paragraph, in and outside blockquotes', () => {
+    expect(convert('first line\nlazy line\n\n> quoted\nlazy quote')).toEqual([
+      { text: 'first line lazy line' },
+      { text: 'quoted lazy quote', quoteIndent: 36 }
+    ]);
+  });
+
+  test('* and + bullets become bulleted lists like - bullets', () => {
+    expect(convert('* star\n  + nested plus\n* second star\n\n+ plus')).toEqual([
+      { text: 'star', nestingLevel: 0 },
+      { text: 'nested plus', nestingLevel: 1 },
+      { text: 'second star', nestingLevel: 0 },
+      { text: 'plus', nestingLevel: 0 }
+    ]);
+  });
+
+  test('nested blockquotes are indented per level and return to the outer level', () => {
+    expect(convert('> outer\n>\n> > inner\n>\n> back')).toEqual([
+      { text: 'outer', quoteIndent: 36 },
+      { text: 'inner', quoteIndent: 72 },
+      { text: 'back', quoteIndent: 36 }
+    ]);
+  });
+
+  test('heading links inside nested lists point at the link text once list tabs are removed', () => {
+    const { requests, headingLinks } = processMarkdown('- a\n  - b\n- see [x](#sec) and [y](#sec)\n\n# Sec');
+    const { model, issues } = simulateRequests(requests);
+    const textAt = (startIndex, endIndex) => model.units.slice(startIndex, endIndex).map((unit) => unit.char).join('');
+
+    expect(issues).toEqual([]);
+    expect(headingLinks.map((link) => textAt(link.startIndex, link.endIndex))).toEqual(['x', 'y']);
+    expect(textAt(headingLinks[0].heading.startIndex, headingLinks[0].heading.startIndex + 3)).toBe('Sec');
+  });
+
+  test('pipe tables become native tables with a bold pinned header and column alignment', () => {
+    const [table] = convertTables('| Left | Center | Right |\n| :--- | :---: | ---: |\n| a | *b* | c |\n| d |');
+
+    expect(table.pinnedHeaderRows).toBe(1);
+    expect(table.rows).toEqual([
+      [
+        { text: 'Left', bold: true, alignment: 'START' },
+        { text: 'Center', bold: true, alignment: 'CENTER' },
+        { text: 'Right', bold: true, alignment: 'END' }
+      ],
+      [
+        { text: 'a', bold: false, alignment: 'START' },
+        { text: 'b', bold: false, alignment: 'CENTER' },
+        { text: 'c', bold: false, alignment: 'END' }
+      ],
+      [
+        { text: 'd', bold: false, alignment: 'START' },
+        { text: '', bold: false, alignment: 'CENTER' },
+        { text: '', bold: false, alignment: 'END' }
+      ]
+    ]);
+  });
+
+  test('content after a table is written after it', () => {
+    expect(convert('Before\n\n| A |\n| --- |\n| 1 |\n\n## After')).toEqual([
+      { text: 'Before' },
+      { text: 'After', namedStyleType: 'HEADING_2' }
+    ]);
+    expect(convertTables('| A |\n| --- |\n| 1 |\n\n| B |\n| --- |\n| 2 |').map((table) => table.rows[1][0].text)).toEqual(['1', '2']);
+  });
+
+  test('task lists become checkbox lists with checked items struck through and reported', () => {
+    const { requests, tasks } = processMarkdown('- [ ] todo\n- [x] done **now**\n  - [ ] nested');
+    const { model, issues } = simulateRequests(requests);
+    expect(issues).toEqual([]);
+
+    const paragraphs = snapshotDocument(model)
+      .filter((element) => element.paragraph && element.paragraph.text)
+      .map(({ paragraph }) => ({
+        text: paragraph.text,
+        preset: paragraph.bullet.bulletPreset,
+        nestingLevel: paragraph.bullet.nestingLevel,
+        struck: paragraph.runs.map((run) => run.text).filter((text, i) => paragraph.runs[i].textStyle.strikethrough).join('')
+      }));
+
+    expect(paragraphs).toEqual([
+      { text: 'todo', preset: 'BULLET_CHECKBOX', nestingLevel: 0, struck: '' },
+      { text: 'done now', preset: 'BULLET_CHECKBOX', nestingLevel: 0, struck: 'done now' },
+      { text: 'nested', preset: 'BULLET_CHECKBOX', nestingLevel: 1, struck: '' }
+    ]);
+    expect(tasks).toEqual([
+      { text: 'todo', checked: false, level: 0 },
+      { text: 'done now', checked: true, level: 0 },
+      { text: 'nested', checked: false, level: 1 }
+    ]);
+  });
+
+  test('plain items in a task list keep a regular bullet', () => {
+    const { model } = simulateRequests(processMarkdown('- [ ] todo\n- plain').requests);
+    const presets = snapshotDocument(model)
+      .filter((element) => element.paragraph && element.paragraph.bullet)
+      .map(({ paragraph }) => paragraph.bullet.bulletPreset);
+
+    expect(presets).toEqual(['BULLET_CHECKBOX', 'BULLET_DISC_CIRCLE_SQUARE']);
+  });
+
+  test('horizontal rules become a bottom border, or page breaks when asked', () => {
+    const rule = processMarkdown('a\n\n---\n\nb').requests.find((request) => request.updateParagraphStyle);
+    expect(rule.updateParagraphStyle.fields).toBe('borderBottom');
+
+    const { requests } = processMarkdown('a\n\n---\n\nb', { thematicBreak: 'pageBreak' });
+    expect(requests.filter((request) => request.insertPageBreak)).toHaveLength(1);
+    expect(requests.some((request) => request.updateParagraphStyle)).toBe(false);
+    expect(simulateRequests(requests).issues).toEqual([]);
+  });
+
+  test('callouts become a shaded single-cell table with a bold colored title', () => {
+    const { model, issues } = simulateRequests(processMarkdown('> [!WARNING]\n> Careful').requests);
+    expect(issues).toEqual([]);
+
+    const { table } = snapshotDocument(model).find((element) => element.table);
+    const [[cell]] = table.rows;
+
+    expect(cell.map((paragraph) => paragraph.text)).toEqual(['Warning', 'Careful']);
+    expect(cell[0].runs[0].textStyle.bold).toBe(true);
+    expect(table.cellStyles['0,0'].borderLeft.width).toEqual({ magnitude: 3, unit: 'PT' });
+    expect(table.cellStyles['0,0'].backgroundColor).toBeDefined();
+  });
+
+  test('footnote references become footnotes at their index, with the definition text', () => {
+    const { requests, footnotes } = processMarkdown('Text[^1] more[^n] and [^missing].\n\n[^1]: First note.\n[^n]: Second *note*.');
+
+    expect(footnotes).toEqual([
+      { index: 5, label: '1', text: 'First note.' },
+      { index: 11, label: 'n', text: 'Second note.' }
+    ]);
+    expect(requests.filter((request) => request.createFootnote).map((request) => request.createFootnote.location.index)).toEqual([5, 11]);
+
+    const { model } = simulateRequests(requests);
+    expect(snapshotDocument(model)[0].paragraph.text).toMatch(/ and \[\^missing\]\.$/);
+  });
+});
@@ -0,0 +1,144 @@
+// File: __tests__/frontMatter.test.js
+
+const request = require('supertest');
+const { google } = require('googleapis');
+const logger = require('../src/utils/logger');
+const { parseFrontMatter } = require('../src/utils/frontMatter');
+const { applyFrontMatter } = require('../src/middleware/frontMatter');
+
+/**
+ * Run the middleware on a body; resolves with the body, or with the 400 response it sent
+ */
+function run(body) {
+  return new Promise((resolve) => {
+    const req = { body };
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ status: this.statusCode, payload });
+      }
+    };
+    applyFrontMatter(req, res, () => resolve({ body: req.body }));
+  });
+}
+
+beforeAll(() => {
+  logger.silent = true;
+});
+
+afterAll(() => {
+  logger.silent = false;
+});
+
+describe('parseFrontMatter', () => {
+  test('splits a YAML block from the markdown and keeps dates as strings', () => {
+    expect(parseFrontMatter('---\ntitle: Report\ndate: 2024-05-01\n---\n# Body\n')).toEqual({
+      data: { title: 'Report', date: '2024-05-01' },
+      content: '# Body\n'
+    });
+  });
+
+  test('leaves markdown without front matter, or with a non-mapping block, untouched', () => {
+    expect(parseFrontMatter('# Body')).toEqual({ data: null, content: '# Body' });
+    expect(parseFrontMatter('---\nJust text\n---\n')).toEqual({ data: null, content: '---\nJust text\n---\n' });
+  });
+
+  test('rejects invalid YAML', () => {
+    expect(() => parseFrontMatter('---\ntitle: [unclosed\n---\n')).toThrow('Front matter is not valid YAML');
+  });
+});
+
+describe('applyFrontMatter', () => {
+  test('fills unset request fields and turns other keys into Drive properties', async () => {
+    const { body } = await run({
+      docName: 'From the body',
+      markdown: '---\ntitle: From front matter\ntoc: true\npageSize: A4\nowner: Ada\ntags: [a, b]\n---\n# Hi',
+      options: { toc: false }
+    });
+
+    expect(body).toEqual({
+      docName: 'From the body',
+      markdown: '# Hi',
+      options: { toc: false, page: { size: 'A4' } },
+      properties: { owner: 'Ada', tags: 'a, b' }
+    });
+  });
+
+  test('stores keys named like Object.prototype members as properties', async () => {
+    const { body } = await run({
+      markdown: '---\nconstructor: x\ntoString: y\n__proto__: z\nhasOwnProperty: w\n---\ntext'
+    });
+
+    expect(Object.getPrototypeOf(body)).toBe(Object.prototype);
+    expect(Object.entries(body.properties)).toEqual([
+      ['constructor', 'x'],
+      ['toString', 'y'],
+      ['__proto__', 'z'],
+      ['hasOwnProperty', 'w']
+    ]);
+  });
+
+  test('reports invalid front matter of a batch item by its path', async () => {
+    const { status, payload } = await run({ items: [{ markdown: 'ok' }, { markdown: '---\na: [\n---\n' }] });
+
+    expect(status).toBe(400);
+    expect(payload.errors[0].path).toBe('items[1].markdown');
+  });
+});
+
+describe('front matter on /convert-to-gdoc', () => {
+  let app;
+  let fileUpdates;
+
+  beforeAll(() => {
+    app = require('../src/app');
+  });
+
+  beforeEach(() => {
+    fileUpdates = [];
+    jest.spyOn(google, 'docs').mockReturnValue({
+      documents: {
+        create: async () => ({ data: { documentId: 'doc1' } }),
+        get: async () => ({ data: { revisionId: 'rev1' } }),
+        batchUpdate: async () => ({ data: { replies: [], writeControl: { requiredRevisionId: 'rev2' } } })
+      }
+    });
+    jest.spyOn(google, 'drive').mockReturnValue({
+      files: {
+        get: async () => ({ data: { parents: [] } }),
+        update: async (params) => {
+          fileUpdates.push(params);
+          return { data: {} };
+        }
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function convert(markdown) {
+    return request(app)
+      .post('/api/markdown/convert-to-gdoc')
+      .set('Authorization', 'Bearer token')
+      .send({ markdown });
+  }
+
+  test('keys without a request field become Drive properties of the new document', async () => {
+    const response = await convert('---\ntitle: Notes\nowner: Ada\n---\nBody');
+
+    expect(response.status).toBe(201);
+    expect(fileUpdates).toEqual([expect.objectContaining({ fileId: 'doc1', requestBody: { properties: { owner: 'Ada' } } })]);
+  });
+
+  test('values taken from front matter are validated like body fields', async () => {
+    const response = await convert('---\ntitle: Notes\npageSize: Tabloid\n---\nBody');
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map((error) => error.path)).toContain('options.page.size');
+  });
+});
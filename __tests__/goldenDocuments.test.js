@@ -0,0 +1,46 @@
+// File: __tests__/goldenDocuments.test.js
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../src/utils/logger');
+const { processMarkdown } = require('../src/utils/markdownProcessor');
+const { simulateRequests, snapshotDocument } = require('../src/utils/documentSimulator');
+
+// Each <name>.md is converted and compared with <name>.json; UPDATE_GOLDEN=1 rewrites the .json files
+const FIXTURES_DIR = path.join(__dirname, 'fixtures/golden');
+
+// Conversion options of fixtures that need more than the defaults
+const FIXTURE_OPTIONS = {
+  'code-boxes': { codeLayout: 'box' }
+};
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter((file) => file.endsWith('.md'))
+  .map((file) => path.basename(file, '.md'));
+
+beforeAll(() => {
+  logger.silent = true;
+});
+
+afterAll(() => {
+  logger.silent = false;
+});
+
+describe('golden documents', () => {
+  test.each(fixtures)('%s.md', (name) => {
+    const markdown = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.md`), 'utf8');
+    const { requests } = processMarkdown(markdown, FIXTURE_OPTIONS[name]);
+    const { model, issues } = simulateRequests(requests);
+
+    expect(issues.filter((issue) => issue.severity === 'error')).toEqual([]);
+
+    const document = snapshotDocument(model);
+    const expectedFile = path.join(FIXTURES_DIR, `${name}.json`);
+
+    if (process.env.UPDATE_GOLDEN) {
+      fs.writeFileSync(expectedFile, `${JSON.stringify(document, null, 2)}\n`);
+    }
+
+    expect(document).toEqual(JSON.parse(fs.readFileSync(expectedFile, 'utf8')));
+  });
+});
@@ -0,0 +1,86 @@
+// File: __tests__/googleAuthService.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OAuth2Client } = require('google-auth-library');
+
+const TOKEN_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-'));
+process.env.TOKEN_STORE_DIR = TOKEN_STORE_DIR;
+process.env.TOKEN_ENCRYPTION_KEY = 'test-token-encryption-key';
+process.env.GOOGLE_CLIENT_ID = 'client-id';
+process.env.GOOGLE_CLIENT_SECRET = 'client-secret';
+
+const logger = require('../src/utils/logger');
+const { createAuthorizationUrl, completeAuthorization } = require('../src/services/googleAuthService');
+const { getStoreKey, getCredentials, sealData } = require('../src/services/tokenStore');
+
+const REDIRECT_URI = 'https://docs.example.com/auth/google/callback';
+
+// Google's token endpoint answers with a refresh token named after the code
+function mockTokenExchange(Client) {
+  jest.spyOn(Client.prototype, 'getToken').mockImplementation(async (code) => ({
+    tokens: { access_token: 'access', refresh_token: `refresh-${code}`, scope: 'documents drive' }
+  }));
+}
+
+function getState(authUrl) {
+  return new URL(authUrl).searchParams.get('state');
+}
+
+beforeAll(() => {
+  logger.silent = true;
+  mockTokenExchange(OAuth2Client);
+});
+
+afterAll(() => {
+  logger.silent = false;
+  jest.restoreAllMocks();
+  fs.rmSync(TOKEN_STORE_DIR, { recursive: true, force: true });
+});
+
+describe('googleAuthService', () => {
+  test('the consent URL asks for offline access and a refresh token', () => {
+    const url = new URL(createAuthorizationUrl(getStoreKey('api-key'), REDIRECT_URI));
+
+    expect(url.searchParams.get('redirect_uri')).toBe(REDIRECT_URI);
+    expect(url.searchParams.get('access_type')).toBe('offline');
+    expect(url.searchParams.get('prompt')).toBe('consent');
+    expect(url.searchParams.get('scope')).toContain('https://www.googleapis.com/auth/documents');
+  });
+
+  test('the callback stores the refresh token under the key that started the flow', async () => {
+    const storeKey = getStoreKey('api-key', 'alice');
+    const state = getState(createAuthorizationUrl(storeKey, REDIRECT_URI));
+
+    await expect(completeAuthorization(state, 'code1')).resolves.toEqual({ scope: 'documents drive' });
+    await expect(getCredentials(storeKey)).resolves.toEqual({ refresh_token: 'refresh-code1', scope: 'documents drive' });
+  });
+
+  test('the state needs no server memory, so another process can complete the flow', async () => {
+    const storeKey = getStoreKey('api-key', 'bob');
+    const state = getState(createAuthorizationUrl(storeKey, REDIRECT_URI));
+
+    let isolated;
+    jest.isolateModules(() => {
+      mockTokenExchange(require('google-auth-library').OAuth2Client);
+      require('../src/utils/logger').silent = true;
+      isolated = require('../src/services/googleAuthService');
+    });
+
+    await isolated.completeAuthorization(state, 'code2');
+    await expect(getCredentials(storeKey)).resolves.toMatchObject({ refresh_token: 'refresh-code2' });
+  });
+
+  test('tampered, expired and unknown states are refused with status 400', async () => {
+    const state = getState(createAuthorizationUrl(getStoreKey('api-key'), REDIRECT_URI));
+    // The first character of the sealed data always carries six significant bits; the last may be padding
+    const dataStart = state.lastIndexOf('.') + 1;
+    const tampered = `${state.slice(0, dataStart)}${state[dataStart] === 'A' ? 'B' : 'A'}${state.slice(dataStart + 1)}`;
+    const expired = sealData({ storeKey: getStoreKey('api-key'), redirectUri: REDIRECT_URI, expiresAt: Date.now() - 1 });
+
+    for (const candidate of [tampered, expired, 'unknown']) {
+      await expect(completeAuthorization(candidate, 'code')).rejects.toMatchObject({ status: 400 });
+    }
+  });
+});
@@ -0,0 +1,150 @@
+// File: __tests__/googleDocsExporter.test.js
+
+const logger = require('../src/utils/logger');
+const { convertDocumentToMarkdown } = require('../src/utils/googleDocsExporter');
+const { processMarkdown } = require('../src/utils/markdownProcessor');
+const { simulateRequests, snapshotDocument } = require('../src/utils/documentSimulator');
+
+const QUOTE_BORDER = {
+  color: { color: { rgbColor: { red: 0.8, green: 0.8, blue: 0.8 } } },
+  width: { magnitude: 3, unit: 'PT' },
+  padding: { magnitude: 12, unit: 'PT' },
+  dashStyle: 'SOLID'
+};
+
+beforeAll(() => {
+  logger.silent = true;
+});
+
+afterAll(() => {
+  logger.silent = false;
+});
+
+function paragraph(text, paragraphStyle = {}, bullet) {
+  return {
+    paragraph: {
+      elements: [{ textRun: { content: `${text}\n`, textStyle: {} } }],
+      paragraphStyle,
+      ...(bullet ? { bullet } : {})
+    }
+  };
+}
+
+function indent(magnitude) {
+  return {
+    indentStart: { magnitude, unit: 'PT' },
+    indentFirstLine: { magnitude, unit: 'PT' }
+  };
+}
+
+/**
+ * Turn a simulated paragraph into a Docs API paragraph: styled runs in order, plain text between
+ */
+function toDocsParagraph({ text, runs, paragraphStyle = {} }) {
+  const elements = [];
+  let offset = 0;
+
+  for (const run of runs) {
+    const start = text.indexOf(run.text, offset);
+    if (start > offset) {
+      elements.push({ textRun: { content: text.slice(offset, start), textStyle: {} } });
+    }
+    elements.push({ textRun: { content: run.text, textStyle: run.textStyle } });
+    offset = start + run.text.length;
+  }
+  elements.push({ textRun: { content: `${text.slice(offset)}\n`, textStyle: {} } });
+
+  return { elements, paragraphStyle };
+}
+
+/**
+ * Convert markdown, replay it on the document model and export the result again
+ */
+function roundTrip(markdown) {
+  const { model } = simulateRequests(processMarkdown(markdown).requests);
+  const content = snapshotDocument(model).map((element) => (element.paragraph
+    ? { paragraph: toDocsParagraph(element.paragraph) }
+    : {
+      table: {
+        tableRows: element.table.rows.map((row) => ({
+          tableCells: row.map((cell) => ({ content: cell.map((paragraph) => ({ paragraph: toDocsParagraph(paragraph) })) }))
+        }))
+      }
+    }));
+
+  return convertDocumentToMarkdown({ documentId: 'doc1', body: { content } });
+}
+
+function convert(content) {
+  return convertDocumentToMarkdown({
+    documentId: 'doc1',
+    body: { content },
+    lists: {
+      list1: { listProperties: { nestingLevels: [{ glyphType: 'DECIMAL' }, { glyphType: 'DECIMAL' }] } }
+    }
+  });
+}
+
+describe('googleDocsExporter', () => {
+  test('paragraphs with a left border become blockquotes by indent', () => {
+    expect(convert([
+      paragraph('Outer', { ...indent(36), borderLeft: QUOTE_BORDER }),
+      paragraph('Inner', { ...indent(72), borderLeft: QUOTE_BORDER })
+    ])).toBe('> Outer\n\n> > Inner\n');
+  });
+
+  test('indented paragraphs after a list item continue the item', () => {
+    expect(convert([
+      paragraph('First', indent(36), { listId: 'list1', nestingLevel: 0 }),
+      paragraph('More about the first step.', indent(36)),
+      paragraph('Nested', indent(72), { listId: 'list1', nestingLevel: 1 }),
+      paragraph('More about the nested step.', indent(72)),
+      paragraph('Second', indent(36), { listId: 'list1', nestingLevel: 0 })
+    ])).toBe([
+      '1. First',
+      '',
+      '    More about the first step.',
+      '    1. Nested',
+      '',
+      '        More about the nested step.',
+      '2. Second',
+      ''
+    ].join('\n'));
+  });
+
+  test('tables round-trip without adding bold to the header or losing cell line breaks', () => {
+    const markdown = '| Name | Notes |\n| --- | --- |\n| **Ada** | first<br>second |\n';
+
+    expect(roundTrip(markdown)).toBe(markdown);
+    expect(roundTrip(roundTrip(markdown))).toBe(markdown);
+  });
+
+  test('hard line breaks in paragraphs round-trip as backslash breaks', () => {
+    expect(roundTrip('line one\\\nline two\n')).toBe('line one\\\nline two\n');
+  });
+
+  test('table cells with several paragraphs export as <br> and import as line breaks', () => {
+    const cell = (...texts) => ({
+      content: texts.map((text) => paragraph(text))
+    });
+    const markdown = convert([{
+      table: {
+        tableRows: [
+          { tableCells: [cell('Step')] },
+          { tableCells: [cell('one', 'two')] }
+        ]
+      }
+    }]);
+
+    expect(markdown).toBe('| Step |\n| --- |\n| one<br>two |\n');
+    expect(roundTrip(markdown)).toBe(markdown);
+  });
+
+  test('indented paragraphs without a border, like table of contents entries, stay paragraphs', () => {
+    expect(convert([
+      paragraph('Guide', indent(0)),
+      paragraph('Install', indent(18)),
+      paragraph('Requirements', indent(36))
+    ])).toBe('Guide\n\nInstall\n\nRequirements\n');
+  });
+});
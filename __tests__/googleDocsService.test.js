@@ -0,0 +1,208 @@
+// File: __tests__/googleDocsService.test.js
+
+process.env.GOOGLE_API_RETRY_BASE_MS = '1';
+
+const { google } = require('googleapis');
+const logger = require('../src/utils/logger');
+const { createGoogleDoc, getDocumentState, updateGoogleDoc } = require('../src/services/googleDocsService');
+const { processMarkdown } = require('../src/utils/markdownProcessor');
+
+const CREDENTIALS = { access_token: 'token' };
+
+/**
+ * In-memory stand-in for the Docs API that enforces writeControl like Google does
+ * @param {Object} options - { loseResponses: batchUpdate calls applied whose response fails with a 503,
+ *   failures: batchUpdate calls rejected with a 503 before being applied, document: fields get returns }
+ */
+function createFakeDocs({ loseResponses = 0, failures = 0, document = {} } = {}) {
+  const fake = {
+    revision: 1,
+    applied: [],
+    revisionReads: 0,
+    documents: {
+      create: async () => ({ data: { documentId: 'doc1' } }),
+      get: async ({ fields }) => {
+        if (fields === 'revisionId') {
+          fake.revisionReads++;
+        }
+        return {
+          data: {
+            revisionId: `rev${fake.revision}`,
+            body: { content: [{ startIndex: 1, endIndex: 12 }] },
+            ...document
+          }
+        };
+      },
+      batchUpdate: async ({ requestBody }) => {
+        if (failures > 0) {
+          failures--;
+          throw Object.assign(new Error('Backend Error'), { status: 503 });
+        }
+        if (requestBody.writeControl.requiredRevisionId !== `rev${fake.revision}`) {
+          throw Object.assign(new Error('The required revision ID does not match the latest revision'), { status: 400 });
+        }
+
+        fake.applied.push(requestBody.requests);
+        fake.revision++;
+        if (loseResponses > 0) {
+          loseResponses--;
+          throw Object.assign(new Error('Backend Error'), { status: 503 });
+        }
+
+        return {
+          data: {
+            replies: requestBody.requests.map((request) => {
+              if (request.createHeader) {
+                return { createHeader: { headerId: 'kix.newHeader' } };
+              }
+              if (request.createFooter) {
+                return { createFooter: { footerId: 'kix.newFooter' } };
+              }
+              return {};
+            }),
+            writeControl: { requiredRevisionId: `rev${fake.revision}` }
+          }
+        };
+      }
+    }
+  };
+
+  return fake;
+}
+
+function useFakeDocs(fake) {
+  jest.spyOn(google, 'docs').mockReturnValue({ documents: fake.documents });
+  jest.spyOn(google, 'drive').mockReturnValue({
+    files: { copy: async () => ({ data: { id: 'doc1' } }) }
+  });
+}
+
+function paragraph(text, startIndex) {
+  return {
+    startIndex,
+    endIndex: startIndex + text.length,
+    paragraph: { elements: [{ textRun: { content: text } }] }
+  };
+}
+
+async function update(markdown, state) {
+  const content = processMarkdown(markdown, { startIndex: 1 });
+  return updateGoogleDoc('doc1', content, CREDENTIALS, { strategy: 'replace', ...state });
+}
+
+beforeAll(() => {
+  logger.silent = true;
+});
+
+afterAll(() => {
+  logger.silent = false;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('googleDocsService updates', () => {
+  test('the first batch requires the revision the end index was read at', async () => {
+    const fake = createFakeDocs();
+    useFakeDocs(fake);
+
+    const state = await getDocumentState('doc1', CREDENTIALS);
+    expect(state).toEqual({ endIndex: 12, revisionId: 'rev1' });
+
+    // Someone edits the document before the update is written
+    fake.revision++;
+
+    await expect(update('Hello', state)).rejects.toMatchObject({ status: 400 });
+    expect(fake.applied).toHaveLength(0);
+    expect(fake.revisionReads).toBe(0);
+  });
+
+  test('a batch applied before its response was lost is not sent again', async () => {
+    const fake = createFakeDocs({ loseResponses: 1 });
+    useFakeDocs(fake);
+
+    const result = await update('Hello', await getDocumentState('doc1', CREDENTIALS));
+
+    expect(result.documentId).toBe('doc1');
+    expect(fake.applied).toHaveLength(1);
+    expect(fake.revisionReads).toBe(1);
+  });
+
+  test('a batch that failed before being applied is retried', async () => {
+    const fake = createFakeDocs({ failures: 2 });
+    useFakeDocs(fake);
+
+    await update('Hello', await getDocumentState('doc1', CREDENTIALS));
+
+    expect(fake.applied).toHaveLength(1);
+    expect(fake.revisionReads).toBe(2);
+  });
+});
+
+describe('googleDocsService templates', () => {
+  test('a header option goes into the header the template already has', async () => {
+    const fake = createFakeDocs({
+      document: {
+        body: { content: [{ startIndex: 0, endIndex: 1, sectionBreak: {} }, paragraph('{{content}}\n', 1)] },
+        documentStyle: { defaultHeaderId: 'kix.templateHeader' },
+        headers: { 'kix.templateHeader': { content: [paragraph('Acme Inc.\n', 0)] } }
+      }
+    });
+    useFakeDocs(fake);
+
+    await createGoogleDoc('Report', (startIndex) => processMarkdown('Hello', { startIndex }), CREDENTIALS, {
+      template: { templateId: 'template1' },
+      page: { header: 'Quarterly Report', footer: 'Confidential' }
+    });
+
+    const requests = fake.applied.flat();
+    expect(requests.filter((request) => request.createHeader)).toHaveLength(0);
+    expect(requests.filter((request) => request.createFooter)).toHaveLength(1);
+    expect(requests.filter((request) => request.insertText && request.insertText.endOfSegmentLocation)).toEqual([
+      { insertText: { text: '\nQuarterly Report', endOfSegmentLocation: { segmentId: 'kix.templateHeader' } } },
+      { insertText: { text: 'Confidential', endOfSegmentLocation: { segmentId: 'kix.newFooter' } } }
+    ]);
+  });
+});
+
+describe('googleDocsService page setup', () => {
+  test('page size, orientation and margins are set after the content, then header and footer text is written', async () => {
+    const fake = createFakeDocs();
+    useFakeDocs(fake);
+
+    await createGoogleDoc('Report', processMarkdown('Hello'), CREDENTIALS, {
+      page: { size: 'A4', orientation: 'landscape', margins: { top: 36, left: 54 }, header: 'Quarterly Report', footer: 'Confidential' }
+    });
+
+    const [content, segments] = fake.applied;
+    expect(content.slice(-3)).toEqual([
+      {
+        updateDocumentStyle: {
+          documentStyle: {
+            pageSize: { width: { magnitude: 841.89, unit: 'PT' }, height: { magnitude: 595.28, unit: 'PT' } },
+            marginTop: { magnitude: 36, unit: 'PT' },
+            marginLeft: { magnitude: 54, unit: 'PT' }
+          },
+          fields: 'pageSize,marginTop,marginLeft'
+        }
+      },
+      { createHeader: { type: 'DEFAULT' } },
+      { createFooter: { type: 'DEFAULT' } }
+    ]);
+    expect(segments).toEqual([
+      { insertText: { text: 'Quarterly Report', endOfSegmentLocation: { segmentId: 'kix.newHeader' } } },
+      { insertText: { text: 'Confidential', endOfSegmentLocation: { segmentId: 'kix.newFooter' } } }
+    ]);
+  });
+
+  test('no page options add no requests', async () => {
+    const fake = createFakeDocs();
+    useFakeDocs(fake);
+
+    const content = processMarkdown('Hello');
+    await createGoogleDoc('Report', content, CREDENTIALS);
+
+    expect(fake.applied).toEqual([content.requests]);
+  });
+});
@@ -0,0 +1,89 @@
+// File: __tests__/inlineFormatter.test.js
+
+const logger = require('../src/utils/logger');
+const { parseMarkdown, processMarkdown } = require('../src/utils/markdownProcessor');
+const { renderInline } = require('../src/utils/inlineFormatter');
+const { simulateRequests, snapshotDocument } = require('../src/utils/documentSimulator');
+
+beforeAll(() => {
+  logger.silent = true;
+});
+
+afterAll(() => {
+  logger.silent = false;
+});
+
+/**
+ * Render the inline tokens of a one-paragraph markdown string
+ */
+function render(markdown) {
+  return renderInline(parseMarkdown(markdown)[0].tokens);
+}
+
+/**
+ * Convert markdown and list the styled runs of its first paragraph as [text, style] pairs
+ */
+function styledRuns(markdown) {
+  const { model, issues } = simulateRequests(processMarkdown(markdown).requests);
+  expect(issues).toEqual([]);
+
+  const [first] = snapshotDocument(model);
+  return first.paragraph.runs.map((run) => [run.text, run.textStyle]);
+}
+
+describe('inlineFormatter', () => {
+  test('markers are left out of the text and spans point at the words they wrap', () => {
+    expect(render('Some **bold** and *italic* text')).toEqual({
+      text: 'Some bold and italic text',
+      spans: [
+        { start: 5, end: 9, style: { bold: true } },
+        { start: 14, end: 20, style: { italic: true } }
+      ],
+      images: [],
+      footnotes: []
+    });
+  });
+
+  test('nested markers combine their styles', () => {
+    const { text, spans } = render('***both*** and **bold _nested_**');
+
+    expect(text).toBe('both and bold nested');
+    expect(spans).toEqual([
+      { start: 0, end: 4, style: { bold: true, italic: true } },
+      { start: 9, end: 20, style: { bold: true } },
+      { start: 14, end: 20, style: { italic: true } }
+    ]);
+  });
+
+  test('escaped markers stay in the text without a style', () => {
+    expect(render('not \\*emphasis\\* here')).toMatchObject({ text: 'not *emphasis* here', spans: [] });
+  });
+
+  test('styles land on the right document ranges after earlier markers are removed', () => {
+    expect(styledRuns('A **b** c [link](https://example.com) *d*')).toEqual([
+      ['b', { bold: true }],
+      ['link', { link: { url: 'https://example.com' } }],
+      ['d', { italic: true }]
+    ]);
+  });
+
+  test('inline code, strikethrough, underline and baseline offsets get their text styles', () => {
+    const { text, spans } = render('x `a &lt; b` ~~gone~~ <u>under</u> H<sub>2</sub>O E=mc<sup>2</sup>');
+
+    expect(text).toBe('x a < b gone under H2O E=mc2');
+    expect(spans.map((span) => [text.slice(span.start, span.end), span.style])).toEqual([
+      ['a < b', { weightedFontFamily: { fontFamily: 'Courier New' }, backgroundColor: { color: { rgbColor: { red: 0.95, green: 0.95, blue: 0.95 } } } }],
+      ['gone', { strikethrough: true }],
+      ['under', { underline: true }],
+      ['2', { baselineOffset: 'SUBSCRIPT' }],
+      ['2', { baselineOffset: 'SUPERSCRIPT' }]
+    ]);
+  });
+
+  test('HTML tags combine with markdown markers, and unknown tags keep only their text', () => {
+    expect(render('<span>kept</span> <u>**both**</u>')).toMatchObject({
+      text: 'kept both',
+      spans: [{ start: 5, end: 9, style: { bold: true, underline: true } }]
+    });
+  });
+});
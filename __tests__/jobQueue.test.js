@@ -0,0 +1,66 @@
+// File: __tests__/jobQueue.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const JOB_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+process.env.JOB_STORE = 'file';
+process.env.JOB_STORE_DIR = JOB_STORE_DIR;
+process.env.NODE_APP_INSTANCE = '1';
+
+const logger = require('../src/utils/logger');
+const { enqueueJob, getJob, recoverInterruptedJobs } = require('../src/services/jobQueue');
+
+function writeJob(id, fields) {
+  const now = new Date().toISOString();
+  const job = { id, type: 'convert-to-gdoc', status: 'running', callbackUrl: null, createdAt: now, updatedAt: now, ...fields };
+  fs.writeFileSync(path.join(JOB_STORE_DIR, `${id}.json`), JSON.stringify(job));
+}
+
+function readJob(id) {
+  return JSON.parse(fs.readFileSync(path.join(JOB_STORE_DIR, `${id}.json`), 'utf8'));
+}
+
+beforeAll(() => {
+  logger.silent = true;
+});
+
+afterAll(() => {
+  logger.silent = false;
+  fs.rmSync(JOB_STORE_DIR, { recursive: true, force: true });
+});
+
+describe('jobQueue', () => {
+  test('runs a job and reports its result without the callback URL or owner', async () => {
+    const queued = await enqueueJob({ type: 'convert-to-gdoc', run: async () => ({ docId: 'doc1' }) });
+    expect(queued.status).toBe('queued');
+
+    const stored = readJob(queued.id);
+    expect(stored.owner).toEqual({ instance: '1', pid: process.pid });
+
+    let job;
+    for (let attempt = 0; attempt < 50 && (!job || job.status !== 'completed'); attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      job = await getJob(queued.id);
+    }
+
+    expect(job).toMatchObject({ id: queued.id, status: 'completed', result: { docId: 'doc1' } });
+    expect(job).not.toHaveProperty('callbackUrl');
+    expect(job).not.toHaveProperty('owner');
+  });
+
+  test('only fails interrupted jobs of an earlier process of the same instance', async () => {
+    writeJob('restarted', { owner: { instance: '1', pid: process.pid + 1 } });
+    writeJob('other-worker', { owner: { instance: '2', pid: process.pid + 2 } });
+    writeJob('this-process', { owner: { instance: '1', pid: process.pid } });
+    writeJob('finished', { status: 'completed', owner: { instance: '1', pid: process.pid + 1 } });
+
+    await expect(recoverInterruptedJobs()).resolves.toBe(1);
+
+    expect(readJob('restarted')).toMatchObject({ status: 'failed', error: { message: 'Interrupted by a server restart' } });
+    expect(readJob('other-worker').status).toBe('running');
+    expect(readJob('this-process').status).toBe('running');
+    expect(readJob('finished').status).toBe('completed');
+  });
+});
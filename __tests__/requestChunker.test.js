@@ -0,0 +1,61 @@
+// File: __tests__/requestChunker.test.js
+
+const logger = require('../src/utils/logger');
+const { chunkRequests } = require('../src/utils/requestChunker');
+const { processMarkdown } = require('../src/utils/markdownProcessor');
+const { simulateRequests, snapshotDocument } = require('../src/utils/documentSimulator');
+
+beforeAll(() => {
+  logger.silent = true;
+});
+
+afterAll(() => {
+  logger.silent = false;
+});
+
+function insert(text, index) {
+  return { insertText: { text, location: { index } } };
+}
+
+describe('requestChunker', () => {
+  test('splits by request count and numbers chunks by original request index', () => {
+    const requests = [insert('a\n', 1), insert('b\n', 3), insert('c\n', 5)];
+    const chunks = chunkRequests(requests, { maxRequests: 2 });
+
+    expect(chunks.map((chunk) => [chunk.firstRequest, chunk.lastRequest, chunk.requestIndexes])).toEqual([
+      [0, 1, [0, 1]],
+      [2, 2, [2]]
+    ]);
+    expect(chunks.flatMap((chunk) => chunk.requests)).toEqual(requests);
+  });
+
+  test('splits by payload size', () => {
+    const requests = [insert('x'.repeat(300), 1), insert('y'.repeat(300), 301)];
+    const chunks = chunkRequests(requests, { maxBytes: 500 });
+
+    expect(chunks).toHaveLength(2);
+  });
+
+  test('an insertText larger than a batch becomes consecutive inserts mapped to the same request', () => {
+    const text = `${'a'.repeat(32)}\u{1F600}${'b'.repeat(400)}`;
+    const chunks = chunkRequests([insert(text, 1), insert('end', 1 + text.length)], { maxBytes: 400 });
+    const pieces = chunks.flatMap((chunk) => chunk.requests);
+
+    expect(pieces.length).toBeGreaterThan(2);
+    expect(pieces.slice(0, -1).map((piece) => piece.insertText.text).join('')).toBe(text);
+    expect(pieces.map((piece) => piece.insertText.location.index)).toEqual(
+      pieces.map((piece, i) => 1 + pieces.slice(0, i).reduce((length, previous) => length + previous.insertText.text.length, 0))
+    );
+    // No piece ends in the first half of a surrogate pair
+    expect(pieces.some((piece) => /[\uD800-\uDBFF]$/.test(piece.insertText.text))).toBe(false);
+    expect(chunks.flatMap((chunk) => chunk.requestIndexes)).toEqual([...pieces.slice(0, -1).map(() => 0), 1]);
+  });
+
+  test('applying the chunks one after another builds the same document as one batch', () => {
+    const markdown = '# Title\n\nSome **bold** text.\n\n- one\n- two\n\n| A | B |\n| --- | --- |\n| 1 | 2 |\n';
+    const { requests } = processMarkdown(markdown);
+    const chunked = chunkRequests(requests, { maxRequests: 3 }).flatMap((chunk) => chunk.requests);
+
+    expect(snapshotDocument(simulateRequests(chunked).model)).toEqual(snapshotDocument(simulateRequests(requests).model));
+  });
+});
@@ -0,0 +1,71 @@
+// File: __tests__/retry.test.js
+
+process.env.GOOGLE_API_RETRY_BASE_MS = '1';
+
+const logger = require('../src/utils/logger');
+const { withRetry, getErrorStatus } = require('../src/utils/retry');
+
+beforeAll(() => {
+  logger.silent = true;
+});
+
+afterAll(() => {
+  logger.silent = false;
+});
+
+/**
+ * Operation failing with the given errors, then resolving
+ */
+function failingWith(...errors) {
+  return jest.fn(async () => {
+    if (errors.length > 0) {
+      throw errors.shift();
+    }
+    return 'done';
+  });
+}
+
+function apiError(status, fields = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, ...fields });
+}
+
+describe('retry', () => {
+  test('quota, server and network errors are retried until the call succeeds', async () => {
+    const operation = failingWith(apiError(429), apiError(503), Object.assign(new Error('reset'), { code: 'ECONNRESET' }));
+
+    await expect(withRetry(operation)).resolves.toBe('done');
+    expect(operation).toHaveBeenCalledTimes(4);
+  });
+
+  test('other client errors fail at once', async () => {
+    const operation = failingWith(apiError(400));
+
+    await expect(withRetry(operation)).rejects.toMatchObject({ status: 400 });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  test('a 403 is retried only for a rate-limit reason', async () => {
+    const rateLimited = failingWith(apiError(403, { errors: [{ reason: 'userRateLimitExceeded' }] }));
+    const forbidden = failingWith(apiError(403, { errors: [{ reason: 'forbidden' }] }));
+
+    await expect(withRetry(rateLimited)).resolves.toBe('done');
+    await expect(withRetry(forbidden)).rejects.toMatchObject({ status: 403 });
+    expect(forbidden).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after maxRetries and only retries the given statuses', async () => {
+    const unavailable = failingWith(apiError(503), apiError(503), apiError(503));
+    await expect(withRetry(unavailable, { maxRetries: 2 })).rejects.toMatchObject({ status: 503 });
+    expect(unavailable).toHaveBeenCalledTimes(3);
+
+    const serverError = failingWith(apiError(500));
+    await expect(withRetry(serverError, { statuses: [429] })).rejects.toMatchObject({ status: 500 });
+    expect(serverError).toHaveBeenCalledTimes(1);
+  });
+
+  test('reads the status from googleapis errors', () => {
+    expect(getErrorStatus({ response: { status: 404 } })).toBe(404);
+    expect(getErrorStatus({ code: 429 })).toBe(429);
+    expect(getErrorStatus({ code: 'ECONNRESET' })).toBeUndefined();
+  });
+});
@@ -0,0 +1,102 @@
+// File: __tests__/serviceAccount.test.js
+
+process.env.API_KEY = 'api-key';
+process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE = '/secrets/service-account.json';
+process.env.SERVICE_ACCOUNT_IMPERSONATE = 'reports@example.com,@example.org';
+
+const request = require('supertest');
+const { google } = require('googleapis');
+const { JWT } = require('google-auth-library');
+const logger = require('../src/utils/logger');
+const { canImpersonate } = require('../src/services/googleDocsService');
+
+let app;
+let clients;
+
+beforeAll(() => {
+  logger.silent = true;
+  app = require('../src/app');
+});
+
+beforeEach(() => {
+  clients = [];
+  jest.spyOn(google, 'docs').mockImplementation(({ auth }) => {
+    clients.push(auth);
+    return {
+      documents: {
+        create: async () => ({ data: { documentId: 'doc1' } }),
+        get: async () => ({ data: { revisionId: 'rev1' } }),
+        batchUpdate: async () => ({ data: { replies: [], writeControl: { requiredRevisionId: 'rev2' } } })
+      }
+    };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  logger.silent = false;
+});
+
+function convert(body, apiKey = 'api-key') {
+  return request(app)
+    .post('/api/markdown/convert-to-gdoc')
+    .set('x-api-key', apiKey)
+    .send({ docName: 'Notes', markdown: 'Hello', ...body });
+}
+
+describe('service account', () => {
+  test('only listed users and domains can be impersonated', () => {
+    expect(canImpersonate('reports@example.com')).toBe(true);
+    expect(canImpersonate('Reports@Example.com')).toBe(true);
+    expect(canImpersonate('anyone@example.org')).toBe(true);
+    expect(canImpersonate('other@example.com')).toBe(false);
+    expect(canImpersonate('anyone@evil.example.org')).toBe(false);
+    expect(canImpersonate('anyone@example.org.evil.com')).toBe(false);
+  });
+
+  test('requests without a token act as the service account', async () => {
+    const response = await convert({});
+
+    expect(response.status).toBe(201);
+    expect(clients[0]).toBeInstanceOf(JWT);
+    expect(clients[0].subject).toBeUndefined();
+  });
+
+  test('an allowed user is impersonated through domain-wide delegation', async () => {
+    const response = await convert({ impersonate: 'anyone@example.org' });
+
+    expect(response.status).toBe(201);
+    expect(clients[0]).toBeInstanceOf(JWT);
+    expect(clients[0].subject).toBe('anyone@example.org');
+  });
+
+  test('other users are refused before Google is called', async () => {
+    const response = await convert({ impersonate: 'ceo@example.com' });
+
+    expect(response.status).toBe(403);
+    expect(clients).toEqual([]);
+  });
+
+  test('the API key is required', async () => {
+    const response = await convert({}, 'wrong-key');
+
+    expect(response.status).toBe(401);
+    expect(clients).toEqual([]);
+  });
+
+  test('the server refuses to start with a key file but no API key', () => {
+    const apiKey = process.env.API_KEY;
+    delete process.env.API_KEY;
+
+    try {
+      jest.isolateModules(() => {
+        expect(() => require('../src/app')).toThrow('GOOGLE_SERVICE_ACCOUNT_KEY_FILE requires API_KEY to be set');
+      });
+    } finally {
+      process.env.API_KEY = apiKey;
+    }
+  });
+});
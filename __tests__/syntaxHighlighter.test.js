@@ -0,0 +1,69 @@
+// File: __tests__/syntaxHighlighter.test.js
+
+const logger = require('../src/utils/logger');
+const { CODE_THEMES, highlight, getTokenStyle, toOptionalColor } = require('../src/utils/syntaxHighlighter');
+const { processMarkdown } = require('../src/utils/markdownProcessor');
+const { simulateRequests, snapshotDocument } = require('../src/utils/documentSimulator');
+
+beforeAll(() => {
+  logger.silent = true;
+});
+
+afterAll(() => {
+  logger.silent = false;
+});
+
+/**
+ * Highlight code and list its tokens as [text, type] pairs
+ */
+function tokens(code, language) {
+  return highlight(code, language).map((token) => [code.slice(token.start, token.end), token.type]);
+}
+
+describe('syntaxHighlighter', () => {
+  test('splits JavaScript into keywords, strings, comments and numbers', () => {
+    expect(tokens('const x = "a"; // note\nreturn 42;', 'js')).toEqual([
+      ['const', 'keyword'],
+      ['"a"', 'string'],
+      ['// note', 'comment'],
+      ['return', 'keyword'],
+      ['42', 'number']
+    ]);
+  });
+
+  test('resolves language aliases', () => {
+    expect(tokens("def f():\n    # c\n    return 's'", 'py')).toEqual([
+      ['def', 'keyword'],
+      ['f', 'function'],
+      ['# c', 'comment'],
+      ['return', 'keyword'],
+      ["'s'", 'string']
+    ]);
+  });
+
+  test('unknown languages are left unhighlighted', () => {
+    expect(highlight('MOVE A TO B.', 'cobol')).toEqual([]);
+    expect(highlight('const x = 1;', undefined)).toEqual([]);
+  });
+
+  test('token styles come from the theme, with hex colors converted for Docs', () => {
+    expect(toOptionalColor('#ff8000')).toEqual({ color: { rgbColor: { red: 1, green: 0.502, blue: 0 } } });
+    expect(getTokenStyle(CODE_THEMES.light, 'comment')).toEqual({
+      foregroundColor: toOptionalColor('#6a737d'),
+      italic: true
+    });
+    expect(getTokenStyle(CODE_THEMES.plain, 'keyword')).toBeNull();
+  });
+
+  test('fenced code blocks are colored by their language tag', () => {
+    const { model, issues } = simulateRequests(processMarkdown('```js\nconst x = 1;\n```').requests);
+    expect(issues).toEqual([]);
+
+    const runs = snapshotDocument(model)
+      .filter((element) => element.paragraph)
+      .flatMap(({ paragraph }) => paragraph.runs);
+
+    expect(runs.find((run) => run.text === 'const').textStyle.foregroundColor).toEqual(toOptionalColor(CODE_THEMES.light.keyword.color));
+    expect(runs.find((run) => run.text === '1').textStyle.foregroundColor).toEqual(toOptionalColor(CODE_THEMES.light.number.color));
+  });
+});
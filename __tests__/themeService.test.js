@@ -0,0 +1,87 @@
+// File: __tests__/themeService.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../src/utils/logger');
+const { loadThemes, getTheme, getThemeNames } = require('../src/services/themeService');
+const { buildThemeStyles } = require('../src/utils/themeStyles');
+const { toOptionalColor } = require('../src/utils/syntaxHighlighter');
+const { processMarkdown } = require('../src/utils/markdownProcessor');
+const { simulateRequests, snapshotDocument } = require('../src/utils/documentSimulator');
+
+const THEMES_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'themes-'));
+
+function writeTheme(name, theme) {
+  fs.writeFileSync(path.join(THEMES_DIR, `${name}.json`), typeof theme === 'string' ? theme : JSON.stringify(theme));
+}
+
+beforeAll(() => {
+  logger.silent = true;
+});
+
+afterAll(() => {
+  logger.silent = false;
+  fs.rmSync(THEMES_DIR, { recursive: true, force: true });
+});
+
+describe('themeService', () => {
+  test('the bundled themes load', () => {
+    expect(loadThemes(path.join(__dirname, '../themes'))).toEqual(['classic', 'modern']);
+    expect(getTheme('modern').code.syntaxTheme).toBe('dark');
+  });
+
+  test('invalid theme files are skipped and the valid ones still load', () => {
+    writeTheme('good', { text: { fontFamily: 'Georgia' } });
+    writeTheme('broken', '{ not json');
+    writeTheme('unknown-section', { footer: {} });
+    writeTheme('bad-color', { text: { color: 'red' } });
+    writeTheme('bad-syntax-theme', { code: { syntaxTheme: 'neon' } });
+
+    expect(loadThemes(THEMES_DIR)).toEqual(['good']);
+    expect(getThemeNames()).toEqual(['good']);
+    expect(getTheme('bad-color')).toBeUndefined();
+  });
+
+  test('a missing directory leaves no themes loaded', () => {
+    expect(loadThemes(path.join(THEMES_DIR, 'missing'))).toEqual([]);
+    expect(getThemeNames()).toEqual([]);
+  });
+
+  test('no theme builds empty styles, so conversions without one are unchanged', () => {
+    const styles = buildThemeStyles();
+
+    expect(styles.documentStyle).toEqual({});
+    expect(styles.textStyle).toEqual({});
+    expect(styles.paragraphStyle).toEqual({});
+    expect(processMarkdown('# Title\n\nBody', { theme: undefined }).requests)
+      .toEqual(processMarkdown('# Title\n\nBody').requests);
+  });
+
+  test('headings and body text take the theme fonts, colors and spacing', () => {
+    const theme = {
+      document: { marginTop: 54 },
+      text: { fontFamily: 'Inter', color: '#24292f' },
+      paragraph: { spaceBelow: 8 },
+      headings: { fontFamily: 'Montserrat', sizes: [26], spaceAbove: 18 }
+    };
+    const { requests } = processMarkdown('# Title\n\nBody', { theme });
+    const { model, issues } = simulateRequests(requests);
+    expect(issues).toEqual([]);
+
+    const [heading, body] = snapshotDocument(model).map((element) => element.paragraph);
+
+    expect(requests[0].updateDocumentStyle.documentStyle).toEqual({ marginTop: { magnitude: 54, unit: 'PT' } });
+    expect(heading.runs[0].textStyle).toEqual({
+      weightedFontFamily: { fontFamily: 'Montserrat' },
+      fontSize: { magnitude: 26, unit: 'PT' },
+      foregroundColor: toOptionalColor('#24292f')
+    });
+    expect(heading.paragraphStyle).toMatchObject({ namedStyleType: 'HEADING_1', spaceAbove: { magnitude: 18, unit: 'PT' } });
+    expect(body.runs[0].textStyle).toEqual({
+      weightedFontFamily: { fontFamily: 'Inter' },
+      foregroundColor: toOptionalColor('#24292f')
+    });
+    expect(body.paragraphStyle).toEqual({ spaceBelow: { magnitude: 8, unit: 'PT' } });
+  });
+});
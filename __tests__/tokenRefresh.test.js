@@ -0,0 +1,99 @@
+// File: __tests__/tokenRefresh.test.js
+
+const request = require('supertest');
+const { google } = require('googleapis');
+const { OAuth2Client } = require('google-auth-library');
+const logger = require('../src/utils/logger');
+
+let app;
+let authorizations;
+let refreshes;
+
+beforeAll(() => {
+  logger.silent = true;
+  app = require('../src/app');
+});
+
+beforeEach(() => {
+  authorizations = [];
+  refreshes = [];
+
+  // Every Docs call records the access token the client sends
+  jest.spyOn(google, 'docs').mockImplementation(({ auth }) => ({
+    documents: {
+      create: async () => {
+        authorizations.push((await auth.getRequestHeaders()).Authorization);
+        return { data: { documentId: 'doc1' } };
+      },
+      get: async () => ({ data: { revisionId: 'rev1' } }),
+      batchUpdate: async () => ({ data: { replies: [], writeControl: { requiredRevisionId: 'rev2' } } })
+    }
+  }));
+  jest.spyOn(OAuth2Client.prototype, 'refreshTokenNoCache').mockImplementation(async function (refreshToken) {
+    refreshes.push({ refreshToken, clientId: this._clientId });
+    const tokens = { access_token: 'fresh-token', expiry_date: 1900000000000 };
+    this.emit('tokens', tokens);
+    return { tokens, res: null };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  logger.silent = false;
+});
+
+function convert(credentials, authorization) {
+  const call = request(app).post('/api/markdown/convert-to-gdoc');
+  if (authorization) {
+    call.set('Authorization', authorization);
+  }
+  return call.send({ docName: 'Notes', markdown: 'Hello', credentials });
+}
+
+describe('token refresh', () => {
+  test('a refresh token alone gets a new access token, which is returned to the caller', async () => {
+    const response = await convert({ refresh_token: 'refresh-1', client_id: 'client-1', client_secret: 'secret-1' });
+
+    expect(response.status).toBe(201);
+    expect(refreshes).toEqual([{ refreshToken: 'refresh-1', clientId: 'client-1' }]);
+    expect(authorizations).toEqual(['Bearer fresh-token']);
+    expect(response.body.credentials).toEqual({ access_token: 'fresh-token', expiry_date: 1900000000000, token_type: 'Bearer' });
+  });
+
+  test('an expired access token is refreshed before the first call', async () => {
+    const response = await convert({
+      refresh_token: 'refresh-2',
+      expiry_date: Date.now() - 1000,
+      client_id: 'client-1',
+      client_secret: 'secret-1'
+    }, 'Bearer expired-token');
+
+    expect(refreshes).toHaveLength(1);
+    expect(authorizations).toEqual(['Bearer fresh-token']);
+    expect(response.body.credentials.access_token).toBe('fresh-token');
+  });
+
+  test('a valid access token is used as is and no credentials are returned', async () => {
+    const response = await convert({
+      refresh_token: 'refresh-3',
+      expiry_date: Date.now() + 3600000,
+      client_id: 'client-1',
+      client_secret: 'secret-1'
+    }, 'Bearer valid-token');
+
+    expect(response.status).toBe(201);
+    expect(refreshes).toEqual([]);
+    expect(authorizations).toEqual(['Bearer valid-token']);
+    expect(response.body.credentials).toBeUndefined();
+  });
+
+  test('a refresh token without an OAuth client to refresh it with is refused', async () => {
+    const response = await convert({ refresh_token: 'refresh-4' });
+
+    expect(response.status).toBe(400);
+    expect(refreshes).toEqual([]);
+  });
+});
@@ -0,0 +1,76 @@
+// File: __tests__/tokenStore.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TOKEN_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-'));
+process.env.TOKEN_STORE_DIR = TOKEN_STORE_DIR;
+process.env.TOKEN_ENCRYPTION_KEY = 'a-long-random-test-secret';
+
+const logger = require('../src/utils/logger');
+const { getStoreKey, saveCredentials, getCredentials, removeCredentials, sealData, openSealedData } = require('../src/services/tokenStore');
+
+beforeAll(() => {
+  logger.silent = true;
+});
+
+afterAll(() => {
+  logger.silent = false;
+  fs.rmSync(TOKEN_STORE_DIR, { recursive: true, force: true });
+});
+
+describe('tokenStore', () => {
+  test('store keys hash the API key and user, and need an API key', () => {
+    expect(getStoreKey('api-key', 'alice')).toMatch(/^[0-9a-f]{64}$/);
+    expect(getStoreKey('api-key', 'alice')).not.toBe(getStoreKey('api-key', 'bob'));
+    expect(getStoreKey('api-key')).not.toBe(getStoreKey('other-key'));
+    expect(() => getStoreKey(undefined, 'alice')).toThrow('Stored credentials need an API key to be filed under');
+  });
+
+  test('credentials are written encrypted, readable only by the owner, and read back', async () => {
+    const storeKey = getStoreKey('api-key', 'alice');
+    await saveCredentials(storeKey, { refresh_token: 'secret-refresh-token', scope: 'documents' });
+
+    const file = path.join(TOKEN_STORE_DIR, `${storeKey}.json`);
+    expect(fs.readFileSync(file, 'utf8')).not.toContain('secret-refresh-token');
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    await expect(getCredentials(storeKey)).resolves.toEqual({ refresh_token: 'secret-refresh-token', scope: 'documents' });
+  });
+
+  test('another encryption key cannot read stored credentials', async () => {
+    const storeKey = getStoreKey('api-key', 'carol');
+    await saveCredentials(storeKey, { refresh_token: 'refresh' });
+
+    let otherStore;
+    process.env.TOKEN_ENCRYPTION_KEY = 'a-different-secret';
+    try {
+      jest.isolateModules(() => {
+        require('../src/utils/logger').silent = true;
+        otherStore = require('../src/services/tokenStore');
+      });
+      await expect(otherStore.getCredentials(storeKey)).rejects.toThrow();
+    } finally {
+      process.env.TOKEN_ENCRYPTION_KEY = 'a-long-random-test-secret';
+    }
+  });
+
+  test('removed credentials are gone', async () => {
+    const storeKey = getStoreKey('api-key', 'dave');
+    await saveCredentials(storeKey, { refresh_token: 'refresh' });
+
+    await expect(removeCredentials(storeKey)).resolves.toBe(true);
+    await expect(removeCredentials(storeKey)).resolves.toBe(false);
+    await expect(getCredentials(storeKey)).resolves.toBeUndefined();
+  });
+
+  test('sealed values open only unaltered', () => {
+    const sealed = sealData({ storeKey: 'k', expiresAt: 1 });
+
+    expect(sealed).toMatch(/^[\w-]+\.[\w-]+\.[\w-]+$/);
+    expect(openSealedData(sealed)).toEqual({ storeKey: 'k', expiresAt: 1 });
+    expect(openSealedData(`${sealed}.extra`)).toBeUndefined();
+    expect(openSealedData(sealed.replace(/\.(.)/, (match, first) => `.${first === 'A' ? 'B' : 'A'}`))).toBeUndefined();
+    expect(openSealedData(undefined)).toBeUndefined();
+  });
+});
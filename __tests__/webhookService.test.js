@@ -0,0 +1,83 @@
+// File: __tests__/webhookService.test.js
+
+const crypto = require('crypto');
+const http = require('http');
+
+process.env.WEBHOOK_SECRET = 'webhook-secret';
+process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+process.env.GOOGLE_API_RETRY_BASE_MS = '1';
+
+const logger = require('../src/utils/logger');
+const { sendWebhook, checkCallbackUrl, signPayload } = require('../src/services/webhookService');
+
+let server;
+let callbackUrl;
+let responses;
+let deliveries;
+
+beforeAll(async () => {
+  logger.silent = true;
+
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      deliveries.push({ headers: req.headers, body });
+      res.statusCode = responses.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, 'localhost', resolve));
+  callbackUrl = `http://localhost:${server.address().port}/hook`;
+});
+
+beforeEach(() => {
+  responses = [];
+  deliveries = [];
+});
+
+afterAll(async () => {
+  logger.silent = false;
+  await new Promise((resolve) => server.close(resolve));
+});
+
+describe('webhookService', () => {
+  test('deliveries are signed with an HMAC of the timestamp and body', async () => {
+    await expect(sendWebhook(callbackUrl, { id: 'job1', status: 'completed' })).resolves.toBe(200);
+
+    const [{ headers, body }] = deliveries;
+    const expected = crypto.createHmac('sha256', 'webhook-secret')
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex');
+
+    expect(JSON.parse(body)).toEqual({ id: 'job1', status: 'completed' });
+    expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    expect(signPayload('data')).toBe(crypto.createHmac('sha256', 'webhook-secret').update('data').digest('hex'));
+  });
+
+  test('server errors are retried and client errors are not', async () => {
+    responses = [503, 200];
+    await expect(sendWebhook(callbackUrl, {})).resolves.toBe(200);
+    expect(deliveries).toHaveLength(2);
+
+    deliveries = [];
+    responses = [404];
+    await expect(sendWebhook(callbackUrl, {})).rejects.toMatchObject({ status: 404 });
+    expect(deliveries).toHaveLength(1);
+  });
+
+  test('callback URLs must be https on a public address unless their host is allowed', async () => {
+    await expect(checkCallbackUrl('not a url')).resolves.toBe('Callback URL must be a valid URL');
+    await expect(checkCallbackUrl('http://203.0.113.10/hook')).resolves.toBe('Callback URL must be an https URL');
+    await expect(checkCallbackUrl('https://10.0.0.1/hook')).resolves.toMatch(/public address/);
+    await expect(checkCallbackUrl('https://[::1]/hook')).resolves.toMatch(/public address/);
+    await expect(checkCallbackUrl('https://8.8.8.8/hook')).resolves.toBeNull();
+    await expect(checkCallbackUrl(callbackUrl)).resolves.toBeNull();
+    await expect(checkCallbackUrl('ftp://localhost/hook')).resolves.toBe('Callback URL must be an http(s) URL');
+  });
+
+  test('refused URLs are not delivered to', async () => {
+    await expect(sendWebhook('https://127.0.0.1/hook', {})).rejects.toThrow(/public address/);
+    expect(deliveries).toHaveLength(0);
+  });
+});
@@ -6,10 +6,26 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const logger = require('./utils/logger');
 const markdownRoutes = require('./routes/markdownRoutes');
+const authRoutes = require('./routes/authRoutes');
+const { loadThemes } = require('./services/themeService');
+const { isServiceAccountEnabled, canImpersonate } = require('./services/googleDocsService');
+const { isTokenStoreEnabled } = require('./services/tokenStore');
+
+// Server-side credentials act without a caller's token, so only API key holders may use them
+if (isServiceAccountEnabled() && !process.env.API_KEY) {
+  throw new Error('GOOGLE_SERVICE_ACCOUNT_KEY_FILE requires API_KEY to be set');
+}
+// Stored credentials are keyed by API key; without one every caller would share them
+if (isTokenStoreEnabled() && !process.env.API_KEY) {
+  throw new Error('TOKEN_ENCRYPTION_KEY requires API_KEY to be set');
+}
 
 // Initialize express app
 const app = express();
 
+// Style themes are read once at startup from THEMES_DIR (default ./themes)
+loadThemes();
+
 // Enable trust proxy
 app.set('trust proxy', true);
 
@@ -28,8 +44,8 @@ app.use(morgan('combined', {
 
 // API Key authentication middleware
 const apiKeyAuth = (req, res, next) => {
-  // Skip API key check for health endpoint
-  if (req.path === '/health') {
+  // Skip API key check for health endpoint and Google's redirect back to the consent flow
+  if (req.path === '/health' || req.path === '/auth/google/callback') {
     return next();
   }
   
@@ -44,12 +60,27 @@ const apiKeyAuth = (req, res, next) => {
   next();
 };
 
-// Add authentication check middleware
+// Markdown API routes that call Google on behalf of the user
+const OAUTH_ROUTES = [
+  '/api/markdown/convert-to-gdoc',
+  '/api/markdown/convert-batch',
+  '/api/markdown/gdoc/',
+  '/api/markdown/from-gdoc/'
+];
+
+// Add authentication check middleware; body credentials with a token can stand in for the header,
+// and with a service account or stored credentials no token is needed (the controller looks them up)
 const authenticateOAuthRequest = (req, res, next) => {
+  if (process.env.API_KEY && (isServiceAccountEnabled() || isTokenStoreEnabled())) {
+    return next();
+  }
+  
   const authHeader = req.headers['authorization'];
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  const credentials = req.body && req.body.credentials;
+  const hasBodyToken = Boolean(credentials && (credentials.access_token || credentials.refresh_token));
+  if ((!authHeader || !authHeader.startsWith('Bearer ')) && !hasBodyToken) {
     // Only check OAuth for markdown API routes
-    if (req.path.startsWith('/api/markdown/convert-to-gdoc')) {
+    if (OAUTH_ROUTES.some((route) => req.path.startsWith(route))) {
       logger.warn(`Unauthorized access attempt from ${req.ip} - Missing Bearer token`);
       return res.status(401).json({
         success: false,
@@ -60,14 +91,29 @@ const authenticateOAuthRequest = (req, res, next) => {
   next();
 };
 
+// Service account impersonation is limited to the users and domains in SERVICE_ACCOUNT_IMPERSONATE
+const authorizeImpersonation = (req, res, next) => {
+  const impersonate = (req.body && req.body.impersonate) || req.query.impersonate;
+  if (impersonate && isServiceAccountEnabled() && !canImpersonate(impersonate)) {
+    logger.warn(`Refused impersonation of ${impersonate} from ${req.ip}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden: this user may not be impersonated'
+    });
+  }
+  next();
+};
+
 // Apply authentication middlewares
 if (process.env.API_KEY) {
   app.use(apiKeyAuth);
 }
 app.use(authenticateOAuthRequest);
+app.use(authorizeImpersonation);
 
 // Register routes
 app.use('/api/markdown', markdownRoutes);
+app.use('/auth/google', authRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
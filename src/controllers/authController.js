@@ -0,0 +1,119 @@
+// File: src/controllers/authController.js
+
+const { isAuthFlowEnabled, createAuthorizationUrl, completeAuthorization } = require('../services/googleAuthService');
+const { isTokenStoreEnabled, getStoreKey, removeCredentials } = require('../services/tokenStore');
+const logger = require('../utils/logger');
+
+/**
+ * Starts the Google consent flow for the caller's API key (and optional user)
+ * and returns the URL to open in a browser
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.startGoogleAuth = async (req, res) => {
+  try {
+    if (!isAuthFlowEnabled() || !isTokenStoreEnabled()) {
+      return sendNotConfigured(res);
+    }
+
+    const storeKey = getStoreKey(req.headers['x-api-key'], req.query.user);
+    const authUrl = createAuthorizationUrl(storeKey, getRedirectUri(req));
+
+    logger.info(`Started Google authorization${req.query.user ? ` for user ${req.query.user}` : ''}`);
+    return res.status(200).json({
+      success: true,
+      message: 'Open authUrl in a browser to connect a Google account',
+      authUrl
+    });
+  } catch (error) {
+    logger.error(`Error starting Google authorization: ${error.message}`, { stack: error.stack });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to start Google authorization',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Receives Google's redirect after the consent screen and stores the refresh token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.handleGoogleCallback = async (req, res) => {
+  try {
+    const { state, code, error } = req.query;
+
+    if (error) {
+      logger.warn(`Google authorization was not granted: ${error}`);
+      return res.status(400).json({
+        success: false,
+        error: `Google authorization was not granted: ${error}`
+      });
+    }
+
+    const { scope } = await completeAuthorization(state, code);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Google account connected; API calls with this API key can now omit the Bearer token',
+      scope
+    });
+  } catch (error) {
+    logger.error(`Error handling Google authorization callback: ${error.message}`, { stack: error.stack });
+    return res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to complete Google authorization',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Deletes the Google credentials stored for the caller's API key (and optional user)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.disconnectGoogle = async (req, res) => {
+  try {
+    if (!isTokenStoreEnabled()) {
+      return sendNotConfigured(res);
+    }
+
+    const removed = await removeCredentials(getStoreKey(req.headers['x-api-key'], req.query.user));
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'No Google account is connected'
+      });
+    }
+
+    logger.info('Removed stored Google credentials');
+    return res.status(200).json({
+      success: true,
+      message: 'Google account disconnected'
+    });
+  } catch (error) {
+    logger.error(`Error removing stored Google credentials: ${error.message}`, { stack: error.stack });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to disconnect Google account',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Callback URL Google redirects to; GOOGLE_REDIRECT_URI when set, as it must match
+ * a URI registered with the OAuth client exactly
+ */
+function getRedirectUri(req) {
+  return process.env.GOOGLE_REDIRECT_URI || `${req.protocol}://${req.get('host')}${req.baseUrl}/callback`;
+}
+
+function sendNotConfigured(res) {
+  return res.status(503).json({
+    success: false,
+    error: 'Google sign-in is not configured: set GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET and TOKEN_ENCRYPTION_KEY'
+  });
+}
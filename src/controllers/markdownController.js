@@ -1,9 +1,26 @@
 // File: src/controllers/markdownController.js
 
-const { processMarkdown } = require('../utils/markdownProcessor');
-const { createGoogleDoc } = require('../services/googleDocsService');
+const { processMarkdown, collectImageUrls } = require('../utils/markdownProcessor');
+const {
+  updateGoogleDoc,
+  getDocumentState,
+  getContentStartIndex,
+  getDocumentMetadata,
+  isServiceAccountEnabled
+} = require('../services/googleDocsService');
+const { findUnavailableImages } = require('../services/imageService');
+const { createDocFromMarkdown } = require('../services/conversionService');
+const { enqueueJob, getJob } = require('../services/jobQueue');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { convertDocumentToMarkdown } = require('../utils/googleDocsExporter');
+const { validateRequests } = require('../utils/requestValidator');
+const { getTheme } = require('../services/themeService');
+const { isTokenStoreEnabled, getStoreKey, getCredentials } = require('../services/tokenStore');
 const logger = require('../utils/logger');
 
+// Documents of one /convert-batch call converted at the same time
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+
 /**
  * Converts markdown to Google Docs format and creates a new document
  * @param {Object} req - Express request object
@@ -23,45 +40,437 @@ exports.convertMarkdownToGoogleDoc = async (req, res) => {
     }
     
     // Extract OAuth token from Authorization header
-    const authHeader = req.headers['authorization'];
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      logger.error('Missing or invalid Authorization header');
-      return res.status(401).json({
-        success: false,
-        error: 'Missing or invalid Authorization header. Please use OAuth2 authentication.'
-      });
+    const credentials = await getCredentialsFromRequest(req);
+    if (!credentials) {
+      return sendMissingAuthorization(res);
     }
     
-    // Extract token
-    const accessToken = authHeader.replace('Bearer ', '');
+    const docInfo = await createDocFromMarkdown(docName, markdown, getNewDocumentOptions(req.body), credentials);
     
-    // Create credentials object
-    const credentials = {
-      access_token: accessToken,
-      token_type: 'Bearer'
-    };
+    logger.info(`Successfully created Google Doc: ${docName} (ID: ${docInfo.documentId})`);
+    return res.status(201).json({
+      success: true,
+      message: 'Google Doc created successfully',
+      ...getCreatedDocument(docInfo),
+      credentials: getRefreshedCredentials(credentials)
+    });
+  } catch (error) {
+    logger.error(`Error converting markdown to Google Doc: ${error.message}`, { stack: error.stack });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to convert markdown to Google Doc',
+      ...getBatchFailure(error),
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Converts several markdown documents into new Google Docs with bounded parallelism.
+ * Each item succeeds or fails on its own; the response lists every outcome in order.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.convertMarkdownBatch = async (req, res) => {
+  try {
+    const { items } = req.body;
+    
+    // Extract OAuth token from Authorization header
+    const credentials = await getCredentialsFromRequest(req);
+    if (!credentials) {
+      return sendMissingAuthorization(res);
+    }
+    
+    logger.info(`Converting batch of ${items.length} markdown documents`);
+    const results = await mapWithConcurrency(items, BATCH_CONCURRENCY, async (item, index) => {
+      try {
+        const docInfo = await createDocFromMarkdown(item.docName, item.markdown, getNewDocumentOptions(item), credentials);
+        return {
+          index,
+          docName: item.docName,
+          success: true,
+          ...getCreatedDocument(docInfo)
+        };
+      } catch (error) {
+        logger.error(`Batch item ${index} (${item.docName}) failed: ${error.message}`, { stack: error.stack });
+        return {
+          index,
+          docName: item.docName,
+          success: false,
+          error: 'Failed to convert markdown to Google Doc',
+          ...getBatchFailure(error),
+          details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        };
+      }
+    });
+    
+    const failed = results.filter((result) => !result.success).length;
+    logger.info(`Batch conversion finished: ${results.length - failed} succeeded, ${failed} failed`);
+    
+    return res.status(200).json({
+      success: failed === 0,
+      succeeded: results.length - failed,
+      failed,
+      results,
+      credentials: getRefreshedCredentials(credentials)
+    });
+  } catch (error) {
+    logger.error(`Error converting markdown batch: ${error.message}`, { stack: error.stack });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to convert markdown batch',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Converts markdown and writes it into an existing Google Doc
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateGoogleDocFromMarkdown = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { markdown, strategy = 'replace' } = req.body;
+    
+    // Extract OAuth token from Authorization header
+    const credentials = await getCredentialsFromRequest(req);
+    if (!credentials) {
+      return sendMissingAuthorization(res);
+    }
+    
+    // Read the current body length so new content lands at the right index
+    logger.info(`Reading current content of Google Doc ${documentId}`);
+    const { endIndex, revisionId } = await getDocumentState(documentId, credentials);
+    
+    // Images Google cannot fetch would fail the whole batch, so they become placeholders
+    const unavailableImages = await findUnavailableImages(collectImageUrls(markdown));
     
     // Process markdown to Google Docs format
     logger.info('Processing markdown to Google Docs format');
-    const { requests } = processMarkdown(markdown);
+    const content = processMarkdown(markdown, {
+      ...getConversionOptions(req.body),
+      startIndex: getContentStartIndex(strategy, endIndex),
+      unavailableImages
+    });
     
-    // Create a new document using Google Docs API with provided credentials
-    logger.info(`Creating Google Doc with name: ${docName}`);
-    const docInfo = await createGoogleDoc(docName, requests, credentials);
+    const docInfo = await updateGoogleDoc(documentId, content, credentials, { strategy, endIndex, revisionId });
     
-    logger.info(`Successfully created Google Doc: ${docName} (ID: ${docInfo.documentId})`);
-    return res.status(201).json({
+    logger.info(`Successfully updated Google Doc ${documentId} (${strategy})`);
+    return res.status(200).json({
       success: true,
-      message: 'Google Doc created successfully',
+      message: 'Google Doc updated successfully',
+      strategy,
       docId: docInfo.documentId,
-      docUrl: docInfo.documentUrl
+      docUrl: docInfo.documentUrl,
+      credentials: getRefreshedCredentials(credentials)
     });
   } catch (error) {
-    logger.error(`Error converting markdown to Google Doc: ${error.message}`, { stack: error.stack });
+    logger.error(`Error updating Google Doc from markdown: ${error.message}`, { stack: error.stack });
+    return res.status(getErrorStatus(error)).json({
+      success: false,
+      error: 'Failed to update Google Doc',
+      ...getBatchFailure(error),
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Exports an existing Google Doc back to markdown
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.exportGoogleDocToMarkdown = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    // Extract OAuth token from Authorization header
+    const credentials = await getCredentialsFromRequest(req);
+    if (!credentials) {
+      return sendMissingAuthorization(res);
+    }
+    
+    logger.info(`Reading Google Doc ${documentId} for markdown export`);
+    const document = await getDocumentMetadata(documentId, credentials);
+    const markdown = convertDocumentToMarkdown(document);
+    
+    logger.info(`Successfully exported Google Doc ${documentId} to markdown`);
+    return res.status(200).json({
+      success: true,
+      docId: document.documentId,
+      docName: document.title,
+      markdown,
+      credentials: getRefreshedCredentials(credentials)
+    });
+  } catch (error) {
+    logger.error(`Error exporting Google Doc to markdown: ${error.message}`, { stack: error.stack });
+    return res.status(getErrorStatus(error)).json({
+      success: false,
+      error: 'Failed to export Google Doc to markdown',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Converts markdown without calling Google and returns the generated requests
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.previewMarkdown = async (req, res) => {
+  try {
+    const { markdown } = req.body;
+    
+    logger.info('Previewing markdown conversion');
+    const { requests, tasks, headingLinks, footnotes } = processMarkdown(markdown, getConversionOptions(req.body));
+    const validation = validateRequests(requests, { snapshot: true });
+    
+    return res.status(200).json({
+      success: true,
+      requests,
+      tasks,
+      headingLinks,
+      footnotes,
+      validation
+    });
+  } catch (error) {
+    logger.error(`Error previewing markdown conversion: ${error.message}`, { stack: error.stack });
     return res.status(500).json({
       success: false,
-      error: 'Failed to convert markdown to Google Doc',
+      error: 'Failed to preview markdown conversion',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Queues a markdown to Google Doc conversion and answers with the job ID right away
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createConversionJob = async (req, res) => {
+  try {
+    const { docName, markdown, callbackUrl } = req.body;
+    
+    // The token is only kept in memory, for as long as the job needs it
+    const credentials = await getCredentialsFromRequest(req);
+    if (!credentials) {
+      return sendMissingAuthorization(res);
+    }
+    
+    const options = getNewDocumentOptions(req.body);
+    const job = await enqueueJob({
+      type: 'convert-to-gdoc',
+      callbackUrl,
+      run: async (reportProgress) => {
+        try {
+          const docInfo = await createDocFromMarkdown(docName, markdown, options, credentials, reportProgress);
+          return getCreatedDocument(docInfo);
+        } catch (error) {
+          error.details = getBatchFailure(error);
+          throw error;
+        }
+      }
+    });
+    
+    return res.status(202).json({
+      success: true,
+      message: 'Conversion job queued',
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`
+    });
+  } catch (error) {
+    logger.error(`Error queueing conversion job: ${error.message}`, { stack: error.stack });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to queue conversion job',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Returns the status, progress and result of a conversion job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getConversionJob = async (req, res) => {
+  try {
+    const job = await getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    logger.error(`Error reading conversion job: ${error.message}`, { stack: error.stack });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to read conversion job',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Builds OAuth credentials from the request's Bearer token and body credentials.
+ * The Bearer token takes precedence over credentials.access_token; a refresh_token alone is enough.
+ * Requests naming a user to impersonate use the service account. Requests without a token use
+ * the credentials stored for their API key (and X-Google-User) by the consent flow, or else
+ * the service account when it is enabled.
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Credentials object, or null when there is no token at all
+ */
+async function getCredentialsFromRequest(req) {
+  const authHeader = req.headers['authorization'];
+  const bearerToken = authHeader && authHeader.startsWith('Bearer ') ? authHeader.replace('Bearer ', '') : undefined;
+  const { access_token, refresh_token, expiry_date, client_id, client_secret } = (req.body && req.body.credentials) || {};
+  const impersonate = (req.body && req.body.impersonate) || req.query.impersonate;
+  const hasToken = Boolean(bearerToken || access_token || refresh_token);
+  
+  if (isServiceAccountEnabled() && impersonate) {
+    return {
+      service_account: true,
+      subject: impersonate
+    };
+  }
+  
+  if (!hasToken) {
+    const user = req.headers['x-google-user'];
+    const stored = isTokenStoreEnabled() ? await getCredentials(getStoreKey(req.headers['x-api-key'], user)) : undefined;
+    
+    if (stored) {
+      return {
+        refresh_token: stored.refresh_token,
+        token_type: 'Bearer',
+        stored: true
+      };
+    }
+    if (isServiceAccountEnabled() && !user) {
+      return { service_account: true };
+    }
+    
+    logger.error(user ? `No Google account connected for user ${user}` : 'Missing or invalid Authorization header');
+    return null;
+  }
+  
+  return {
+    access_token: bearerToken || access_token,
+    refresh_token,
+    expiry_date,
+    client_id,
+    client_secret,
+    token_type: 'Bearer'
+  };
+}
+
+/**
+ * Describes the access token refreshed during a request, so the caller can store it.
+ * Tokens of stored credentials stay on the server.
+ * @param {Object} credentials - Credentials from getCredentialsFromRequest
+ * @returns {Object|undefined} { access_token, expiry_date, token_type }, or undefined if not refreshed
+ */
+function getRefreshedCredentials(credentials) {
+  if (!credentials.refreshed || credentials.stored) {
+    return undefined;
+  }
+  
+  return {
+    access_token: credentials.access_token,
+    expiry_date: credentials.expiry_date,
+    token_type: 'Bearer'
+  };
+}
+
+/**
+ * Picks the formatting options a caller may set from the request body
+ * @param {Object} body - Request body
+ * @returns {Object} Options for processMarkdown
+ */
+function getConversionOptions(body) {
+  const { codeTheme, codeLayout, toc, thematicBreak } = body.options || {};
+  return {
+    codeTheme,
+    codeLayout,
+    toc,
+    thematicBreak,
+    theme: body.theme ? getTheme(body.theme) : undefined
+  };
+}
+
+/**
+ * Picks the formatting options, page setup, template and Drive settings for a new document from the request body
+ * @param {Object} body - Request body (or one batch item)
+ * @returns {Object} Options for createDocFromMarkdown
+ */
+function getNewDocumentOptions(body) {
+  const { folderId, description, properties, shareWith, anyoneWithLink, templateId, variables } = body;
+  return {
+    ...getConversionOptions(body),
+    page: (body.options && body.options.page) || undefined,
+    drive: { folderId, description, properties, shareWith, anyoneWithLink },
+    template: templateId ? { templateId, variables } : undefined
+  };
+}
+
+/**
+ * Describes a created document for a response
+ * @param {Object} docInfo - Result of createDocFromMarkdown
+ * @returns {Object} { docId, docUrl[, folderId, permissions] }
+ */
+function getCreatedDocument(docInfo) {
+  return {
+    docId: docInfo.documentId,
+    docUrl: docInfo.documentUrl,
+    folderId: docInfo.folderId,
+    permissions: docInfo.permissions
+  };
+}
+
+/**
+ * Sends the 401 response for requests without a Bearer token
+ * @param {Object} res - Express response object
+ */
+function sendMissingAuthorization(res) {
+  return res.status(401).json({
+    success: false,
+    error: 'Missing or invalid Authorization header. Please use OAuth2 authentication, send credentials with a refresh_token, or connect a Google account through /auth/google/start.'
+  });
+}
+
+/**
+ * Describes a write that failed after the document was created or partway through an update,
+ * so callers know what was left behind
+ * @param {Error} error - Error thrown by createGoogleDoc or updateGoogleDoc
+ * @returns {Object} { failedChunk, rolledBack, docId } fields for the response, or none
+ */
+function getBatchFailure(error) {
+  if (!error.chunk && error.rolledBack === undefined) {
+    return {};
+  }
+
+  return {
+    failedChunk: error.chunk,
+    rolledBack: error.rolledBack,
+    docId: error.documentId
+  };
+}
+
+/**
+ * Maps Google API errors for an existing document onto an HTTP status
+ * @param {Error} error - Error thrown by the Google API client
+ * @returns {number} HTTP status code
+ */
+function getErrorStatus(error) {
+  const status = error.code || (error.response && error.response.status);
+  return status === 403 || status === 404 ? status : 500;
+}
@@ -0,0 +1,118 @@
+// File: src/middleware/frontMatter.js
+
+const logger = require('../utils/logger');
+const { parseFrontMatter } = require('../utils/frontMatter');
+
+// Front matter keys that set request fields; fields sent in the request body win
+const FRONT_MATTER_FIELDS = {
+  title: ['docName'],
+  folderId: ['folderId'],
+  theme: ['theme'],
+  variables: ['variables'],
+  toc: ['options', 'toc'],
+  pageSize: ['options', 'page', 'size']
+};
+
+// Drive limits each property to 124 bytes of key plus value
+const MAX_PROPERTY_BYTES = 124;
+
+/**
+ * Strips YAML front matter from the markdown of a request (or of every /convert-batch item)
+ * and applies it: recognised keys fill request fields the body left unset, and the other
+ * keys become Drive file properties. Runs before the validators, so the values are checked too.
+ */
+exports.applyFrontMatter = (req, res, next) => {
+  const documents = Array.isArray(req.body.items) ? req.body.items : [req.body];
+  const errors = [];
+
+  documents.forEach((document, index) => {
+    if (!document || typeof document.markdown !== 'string') {
+      return;
+    }
+
+    try {
+      const { data, content } = parseFrontMatter(document.markdown);
+      if (data) {
+        document.markdown = content;
+        applyFields(document, data);
+      }
+    } catch (error) {
+      errors.push({
+        type: 'field',
+        msg: error.message,
+        path: document === req.body ? 'markdown' : `items[${index}].markdown`,
+        location: 'body'
+      });
+    }
+  });
+
+  if (errors.length > 0) {
+    logger.warn('Invalid front matter', { errors });
+    return res.status(400).json({
+      success: false,
+      errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Copy front matter values onto a request body
+ * @param {Object} document - Request body or batch item
+ * @param {Object} data - Parsed front matter
+ */
+function applyFields(document, data) {
+  // No prototype, so keys like __proto__ are stored like any other
+  const properties = Object.create(null);
+
+  for (const [key, value] of Object.entries(data)) {
+    // Own keys only: constructor or toString must not resolve to Object.prototype members
+    const path = Object.prototype.hasOwnProperty.call(FRONT_MATTER_FIELDS, key) ? FRONT_MATTER_FIELDS[key] : null;
+
+    if (path) {
+      setUnlessPresent(document, path, value);
+      continue;
+    }
+    if (value === null) {
+      continue;
+    }
+
+    const text = Array.isArray(value) ? value.join(', ') : (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value));
+    if (Buffer.byteLength(key + text) > MAX_PROPERTY_BYTES) {
+      logger.warn(`Skipping front matter key "${key}": too long for a Drive file property`);
+      continue;
+    }
+    properties[key] = text;
+  }
+
+  if (Object.keys(properties).length > 0) {
+    document.properties = { ...properties, ...document.properties };
+  }
+}
+
+/**
+ * Set a nested value unless the body already has one
+ * @param {Object} target - Object to write into
+ * @param {Array} path - Property names leading to the value
+ * @param {*} value - Value to set
+ */
+function setUnlessPresent(target, path, value) {
+  const parents = path.slice(0, -1);
+  const key = path[path.length - 1];
+  let node = target;
+
+  for (const name of parents) {
+    if (node[name] === undefined) {
+      node[name] = {};
+    }
+    if (typeof node[name] !== 'object' || node[name] === null) {
+      return;
+    }
+    node = node[name];
+  }
+
+  if (node[key] === undefined) {
+    node[key] = value;
+  }
+}
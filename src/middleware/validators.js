@@ -1,36 +1,435 @@
 // File: src/middleware/validators.js
 
-const { body, validationResult } = require('express-validator');
+const { body, param, query, header, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { CODE_THEMES } = require('../utils/syntaxHighlighter');
+const { getThemeNames } = require('../services/themeService');
+const { isServiceAccountEnabled } = require('../services/googleDocsService');
+const { checkCallbackUrl } = require('../services/webhookService');
+
+// Google Drive file and folder IDs
+const DRIVE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Placeholder names a template may use; {{content}} is reserved for the converted markdown
+const TEMPLATE_VARIABLE_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// Roles that can be granted when sharing a new document
+const SHARE_ROLES = ['reader', 'commenter', 'writer'];
+
+// Page setup of new documents
+const PAGE_SIZES = ['A4', 'Letter'];
+const PAGE_MARGIN_SIDES = ['top', 'bottom', 'left', 'right'];
+const MAX_PAGE_MARGIN_PT = 288;
+
+// Names telling apart the Google accounts connected to one API key
+const STORED_USER_PATTERN = /^[A-Za-z0-9_.@-]{1,128}$/;
+
+// Documents accepted by one /convert-batch call
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 50;
 
 /**
  * Validates markdown payload
  */
 exports.validateMarkdownPayload = [
-  body('docName')
-    .trim()
+  ...validateNewDocumentFields(),
+  ...validateCredentials(),
+  handleValidationErrors('markdown payload')
+];
+
+/**
+ * Validates payload for converting several documents in one call
+ */
+exports.validateBatchPayload = [
+  body('items')
+    .isArray({ min: 1, max: BATCH_MAX_ITEMS })
+    .withMessage(`Items must be an array of 1 to ${BATCH_MAX_ITEMS} documents`),
+  
+  ...validateNewDocumentFields('items.*.'),
+  ...validateCredentials(),
+  handleValidationErrors('batch payload')
+];
+
+/**
+ * Validates payload for an asynchronous conversion job
+ */
+exports.validateJobPayload = [
+  ...validateNewDocumentFields(),
+  ...validateCredentials(),
+  
+  body('callbackUrl')
+    .optional()
+    .isString()
+    .withMessage('Callback URL must be a string')
+    .bail()
+    .custom(async (url) => {
+      const problem = await checkCallbackUrl(url);
+      if (problem) {
+        throw new Error(problem);
+      }
+      return true;
+    })
+    .bail()
+    .custom(() => Boolean(process.env.WEBHOOK_SECRET))
+    .withMessage('Callback URLs need WEBHOOK_SECRET to be configured on the server'),
+  
+  handleValidationErrors('job payload')
+];
+
+/**
+ * Validates payload for updating an existing document
+ */
+exports.validateUpdatePayload = [
+  validateDocumentIdParam(),
+  
+  body('markdown')
     .notEmpty()
-    .withMessage('Document name is required')
+    .withMessage('Markdown content is required')
     .isString()
-    .withMessage('Document name must be a string')
-    .isLength({ min: 1, max: 255 })
-    .withMessage('Document name must be between 1 and 255 characters'),
+    .withMessage('Markdown content must be a string'),
+  
+  body('strategy')
+    .optional()
+    .isIn(['replace', 'append'])
+    .withMessage('Strategy must be either "replace" or "append"'),
+  
+  ...validateConversionOptions(),
+  ...validateCredentials(),
   
+  handleValidationErrors('update payload')
+];
+
+/**
+ * Validates payload for the offline conversion preview
+ */
+exports.validatePreviewPayload = [
   body('markdown')
     .notEmpty()
     .withMessage('Markdown content is required')
     .isString()
     .withMessage('Markdown content must be a string'),
   
-  (req, res, next) => {
+  ...validateConversionOptions(),
+  
+  handleValidationErrors('preview payload')
+];
+
+/**
+ * Validates the job ID route parameter
+ */
+exports.validateJobId = [
+  param('jobId')
+    .isUUID()
+    .withMessage('Job ID is invalid'),
+  handleValidationErrors('job ID')
+];
+
+/**
+ * Validates the document ID route parameter
+ */
+exports.validateDocumentId = [
+  validateDocumentIdParam(),
+  validateImpersonation(query('impersonate')),
+  validateStoredUser(header('x-google-user')),
+  handleValidationErrors('document ID')
+];
+
+/**
+ * Validates the start of the Google consent flow (and disconnecting an account)
+ */
+exports.validateAuthStart = [
+  validateStoredUser(query('user')),
+  handleValidationErrors('auth start')
+];
+
+/**
+ * Validates Google's redirect to the consent flow callback
+ */
+exports.validateAuthCallback = [
+  query('state')
+    .isString()
+    .notEmpty()
+    .withMessage('state is required'),
+  
+  query('code')
+    .if((value, { req }) => !req.query.error)
+    .isString()
+    .notEmpty()
+    .withMessage('code is required')
+    .hide(),
+  
+  handleValidationErrors('auth callback')
+];
+
+function validateDocumentIdParam() {
+  return param('documentId')
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Document ID is invalid');
+}
+
+/**
+ * Validates the Workspace user a service account request acts as
+ * @param {ValidationChain} chain - Chain for the field holding the email
+ */
+function validateImpersonation(chain) {
+  return chain
+    .optional()
+    .isEmail()
+    .withMessage('impersonate must be an email address')
+    .bail()
+    .custom(() => isServiceAccountEnabled())
+    .withMessage('impersonate needs GOOGLE_SERVICE_ACCOUNT_KEY_FILE to be configured on the server');
+}
+
+/**
+ * Validates the name of a Google account connected to the API key
+ * @param {ValidationChain} chain - Chain for the field holding the name
+ */
+function validateStoredUser(chain) {
+  return chain
+    .optional()
+    .matches(STORED_USER_PATTERN)
+    .withMessage('User must be 1 to 128 letters, digits or _ . @ -');
+}
+
+/**
+ * Validates the optional OAuth credentials sent in the body, the user to impersonate
+ * with the service account and the stored account to use; token values are hidden from errors and logs
+ */
+function validateCredentials() {
+  const hasClient = (credentials) => Boolean(
+    (credentials.client_id && credentials.client_secret) ||
+    (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET)
+  );
+  
+  return [
+    body('credentials')
+      .optional()
+      .isObject()
+      .withMessage('Credentials must be an object'),
+    
+    body('credentials.access_token')
+      .optional()
+      .isString()
+      .withMessage('credentials.access_token must be a string')
+      .hide(),
+    
+    body('credentials.refresh_token')
+      .optional()
+      .isString()
+      .withMessage('credentials.refresh_token must be a string')
+      .bail()
+      .custom((token, { req }) => hasClient(req.body.credentials))
+      .withMessage('Refreshing a token needs credentials.client_id and client_secret, or GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET on the server')
+      .hide(),
+    
+    body('credentials.expiry_date')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('credentials.expiry_date must be a timestamp in milliseconds'),
+    
+    body(['credentials.client_id', 'credentials.client_secret'])
+      .optional()
+      .isString()
+      .withMessage('credentials.client_id and client_secret must be strings')
+      .hide(),
+    
+    validateImpersonation(body('impersonate')),
+    validateStoredUser(header('x-google-user'))
+  ];
+}
+
+/**
+ * Validates the fields needed to create a new document from markdown
+ * @param {string} prefix - Path of the document object in the body (e.g. 'items.*.')
+ */
+function validateNewDocumentFields(prefix = '') {
+  return [
+    body(`${prefix}docName`)
+      .trim()
+      .notEmpty()
+      .withMessage('Document name is required')
+      .isString()
+      .withMessage('Document name must be a string')
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Document name must be between 1 and 255 characters'),
+    
+    body(`${prefix}markdown`)
+      .notEmpty()
+      .withMessage('Markdown content is required')
+      .isString()
+      .withMessage('Markdown content must be a string'),
+    
+    ...validateConversionOptions(prefix),
+    ...validatePageSetup(prefix),
+    ...validateTemplateFields(prefix),
+    ...validateDriveSettings(prefix)
+  ];
+}
+
+/**
+ * Validates the optional page setup of a new document
+ * @param {string} prefix - Path of the document object in the body
+ */
+function validatePageSetup(prefix = '') {
+  const isMargin = (value) => typeof value === 'number' && value >= 0 && value <= MAX_PAGE_MARGIN_PT;
+  
+  return [
+    body(`${prefix}options.page`)
+      .optional()
+      .isObject()
+      .withMessage('options.page must be an object'),
+    
+    body(`${prefix}options.page.size`)
+      .optional()
+      .isIn(PAGE_SIZES)
+      .withMessage(`Page size must be one of: ${PAGE_SIZES.join(', ')}`),
+    
+    body(`${prefix}options.page.orientation`)
+      .optional()
+      .isIn(['portrait', 'landscape'])
+      .withMessage('Page orientation must be either "portrait" or "landscape"'),
+    
+    body(`${prefix}options.page.margins`)
+      .optional()
+      .custom((margins) => isMargin(margins) || (
+        margins !== null && typeof margins === 'object' && !Array.isArray(margins) &&
+        Object.entries(margins).every(([side, value]) => PAGE_MARGIN_SIDES.includes(side) && isMargin(value))
+      ))
+      .withMessage(`Page margins must be a number of points (0-${MAX_PAGE_MARGIN_PT}) or an object with ${PAGE_MARGIN_SIDES.join(', ')} in points`),
+    
+    body(`${prefix}options.page.header`)
+      .optional()
+      .isString()
+      .withMessage('Page header must be a string'),
+    
+    body(`${prefix}options.page.footer`)
+      .optional()
+      .isString()
+      .withMessage('Page footer must be a string')
+  ];
+}
+
+/**
+ * Validates the optional template document and its placeholder values
+ * @param {string} prefix - Path of the document object in the body
+ */
+function validateTemplateFields(prefix = '') {
+  return [
+    body(`${prefix}templateId`)
+      .optional()
+      .isString()
+      .matches(DRIVE_ID_PATTERN)
+      .withMessage('Template ID must be a Google Drive document ID'),
+    
+    body(`${prefix}variables`)
+      .optional()
+      .isObject()
+      .withMessage('Variables must be an object')
+      .custom((variables) => Object.entries(variables).every(([name, value]) =>
+        TEMPLATE_VARIABLE_PATTERN.test(name) && name !== 'content' && ['string', 'number', 'boolean'].includes(typeof value)
+      ))
+      .withMessage('Variables must map placeholder names (letters, digits, _ . -; not "content") to strings, numbers or booleans')
+  ];
+}
+
+/**
+ * Validates the optional Drive folder, description and sharing of a new document
+ * @param {string} prefix - Path of the document object in the body
+ */
+function validateDriveSettings(prefix = '') {
+  return [
+    body(`${prefix}folderId`)
+      .optional()
+      .isString()
+      .matches(DRIVE_ID_PATTERN)
+      .withMessage('Folder ID must be a Google Drive folder ID'),
+    
+    body(`${prefix}description`)
+      .optional()
+      .isString()
+      .withMessage('Description must be a string'),
+    
+    body(`${prefix}properties`)
+      .optional()
+      .isObject()
+      .withMessage('Properties must be an object')
+      .custom((properties) => Object.entries(properties).every(([key, value]) =>
+        typeof value === 'string' && Buffer.byteLength(key + value) <= 124
+      ))
+      .withMessage('Property values must be strings of at most 124 bytes including the key'),
+    
+    body(`${prefix}shareWith`)
+      .optional()
+      .isArray({ max: 100 })
+      .withMessage('shareWith must be an array of at most 100 { email, role } entries'),
+    
+    body(`${prefix}shareWith.*.email`)
+      .isEmail()
+      .withMessage('shareWith email must be a valid email address'),
+    
+    body(`${prefix}shareWith.*.role`)
+      .isIn(SHARE_ROLES)
+      .withMessage(`shareWith role must be one of: ${SHARE_ROLES.join(', ')}`),
+    
+    body(`${prefix}anyoneWithLink`)
+      .optional()
+      .custom((value) => typeof value === 'boolean' || SHARE_ROLES.includes(value))
+      .withMessage(`anyoneWithLink must be true, false or one of: ${SHARE_ROLES.join(', ')}`)
+  ];
+}
+
+/**
+ * Validates the optional style theme and conversion options shared by all conversion payloads
+ * @param {string} prefix - Path of the object holding them in the body
+ */
+function validateConversionOptions(prefix = '') {
+  return [
+    body(`${prefix}theme`)
+      .optional()
+      .custom((theme) => getThemeNames().includes(theme))
+      .withMessage(() => `Theme must be one of: ${getThemeNames().join(', ')}`),
+    
+    body(`${prefix}options`)
+      .optional()
+      .isObject()
+      .withMessage('Options must be an object'),
+    
+    body(`${prefix}options.codeTheme`)
+      .optional()
+      .isIn(Object.keys(CODE_THEMES))
+      .withMessage(`Code theme must be one of: ${Object.keys(CODE_THEMES).join(', ')}`),
+    
+    body(`${prefix}options.toc`)
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('options.toc must be true or false'),
+    
+    body(`${prefix}options.codeLayout`)
+      .optional()
+      .isIn(['paragraph', 'box'])
+      .withMessage('Code layout must be either "paragraph" or "box"'),
+    
+    body(`${prefix}options.thematicBreak`)
+      .optional()
+      .isIn(['rule', 'pageBreak'])
+      .withMessage('Thematic break must be either "rule" or "pageBreak"')
+  ];
+}
+
+/**
+ * Creates middleware that responds with 400 when validation failed
+ * @param {string} payloadName - Payload description used in logs
+ */
+function handleValidationErrors(payloadName) {
+  return (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      logger.warn('Validation error for markdown payload', { errors: errors.array() });
+      logger.warn(`Validation error for ${payloadName}`, { errors: errors.array() });
       return res.status(400).json({
         success: false,
         errors: errors.array()
       });
     }
     next();
-  }
-];
\ No newline at end of file
+  };
+}
\ No newline at end of file
@@ -0,0 +1,29 @@
+// File: src/routes/authRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { validateAuthStart, validateAuthCallback } = require('../middleware/validators');
+
+/**
+ * @route GET /auth/google/start
+ * @desc Start the Google consent flow and return the URL to open in a browser
+ * @access Private (API Key required)
+ */
+router.get('/start', validateAuthStart, authController.startGoogleAuth);
+
+/**
+ * @route GET /auth/google/callback
+ * @desc Google's redirect after consent; stores the refresh token for the API key that started the flow
+ * @access Public (checked with the state parameter)
+ */
+router.get('/callback', validateAuthCallback, authController.handleGoogleCallback);
+
+/**
+ * @route DELETE /auth/google
+ * @desc Delete the stored Google credentials of the API key (and ?user=)
+ * @access Private (API Key required)
+ */
+router.delete('/', validateAuthStart, authController.disconnectGoogle);
+
+module.exports = router;
@@ -3,14 +3,65 @@
 const express = require('express');
 const router = express.Router();
 const markdownController = require('../controllers/markdownController');
-const { validateMarkdownPayload } = require('../middleware/validators');
+const {
+  validateMarkdownPayload,
+  validateUpdatePayload,
+  validateDocumentId,
+  validatePreviewPayload,
+  validateJobPayload,
+  validateJobId,
+  validateBatchPayload
+} = require('../middleware/validators');
+const { applyFrontMatter } = require('../middleware/frontMatter');
 
 /**
  * @route POST /api/markdown/convert-to-gdoc
  * @desc Convert markdown to Google Doc
  * @access Private (API Key required)
  */
-router.post('/convert-to-gdoc', validateMarkdownPayload, markdownController.convertMarkdownToGoogleDoc);
+router.post('/convert-to-gdoc', applyFrontMatter, validateMarkdownPayload, markdownController.convertMarkdownToGoogleDoc);
+
+/**
+ * @route POST /api/markdown/convert-batch
+ * @desc Convert several markdown documents to new Google Docs, reporting each one's outcome
+ * @access Private (API Key required)
+ */
+router.post('/convert-batch', applyFrontMatter, validateBatchPayload, markdownController.convertMarkdownBatch);
+
+/**
+ * @route PUT /api/markdown/gdoc/:documentId
+ * @desc Replace or append to the body of an existing Google Doc
+ * @access Private (API Key required)
+ */
+router.put('/gdoc/:documentId', applyFrontMatter, validateUpdatePayload, markdownController.updateGoogleDocFromMarkdown);
+
+/**
+ * @route GET /api/markdown/from-gdoc/:documentId
+ * @desc Export an existing Google Doc to markdown
+ * @access Private (API Key required)
+ */
+router.get('/from-gdoc/:documentId', validateDocumentId, markdownController.exportGoogleDocToMarkdown);
+
+/**
+ * @route POST /api/markdown/preview
+ * @desc Dry-run a conversion and return the batchUpdate requests with a validation report
+ * @access Private (API Key required, no OAuth token needed)
+ */
+router.post('/preview', applyFrontMatter, validatePreviewPayload, markdownController.previewMarkdown);
+
+/**
+ * @route POST /api/markdown/jobs
+ * @desc Queue a markdown to Google Doc conversion and return its job ID immediately
+ * @access Private (API Key required)
+ */
+router.post('/jobs', applyFrontMatter, validateJobPayload, markdownController.createConversionJob);
+
+/**
+ * @route GET /api/markdown/jobs/:jobId
+ * @desc Get the status, progress and result of a conversion job
+ * @access Private (API Key required, no OAuth token needed)
+ */
+router.get('/jobs/:jobId', validateJobId, markdownController.getConversionJob);
 
 /**
  * @route GET /api/markdown/status
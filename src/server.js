@@ -3,15 +3,30 @@
 require('dotenv').config();
 const app = require('./app');
 const logger = require('./utils/logger');
+const { recoverInterruptedJobs } = require('./services/jobQueue');
+const { isServiceAccountEnabled } = require('./services/googleDocsService');
+const { isTokenStoreEnabled } = require('./services/tokenStore');
 
 // Get port from environment or default to 3000
 const PORT = process.env.PORT || 3000;
 
+// Each pm2 cluster worker has its own memory, so a job status request can reach a worker that never saw the job
+if (process.env.NODE_APP_INSTANCE !== undefined && (process.env.JOB_STORE || 'memory') === 'memory') {
+  logger.warn('JOB_STORE=memory needs a single instance; use JOB_STORE=file when running a pm2 cluster');
+}
+
+// Jobs a previous process left unfinished cannot resume without their tokens
+recoverInterruptedJobs().catch((error) => {
+  logger.error(`Could not recover interrupted jobs: ${error.message}`, { stack: error.stack });
+});
+
 // Start the server
 const server = app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`API Key auth: ${process.env.API_KEY ? 'enabled' : 'disabled'}`);
+  logger.info(`Service account auth: ${isServiceAccountEnabled() ? 'enabled' : 'disabled'}`);
+  logger.info(`Stored Google credentials: ${isTokenStoreEnabled() ? 'enabled' : 'disabled'}`);
 });
 
 // Handle uncaught exceptions
@@ -0,0 +1,41 @@
+// File: src/services/conversionService.js
+
+const { processMarkdown, collectImageUrls } = require('../utils/markdownProcessor');
+const { createGoogleDoc } = require('./googleDocsService');
+const { findUnavailableImages } = require('./imageService');
+const logger = require('../utils/logger');
+
+/**
+ * Converts markdown and creates a new Google Doc from it
+ * @param {string} docName - Document title
+ * @param {string} markdown - Markdown content
+ * @param {Object} options - Conversion options for processMarkdown (theme, codeTheme, ...)
+ * @param {Object} options.drive - Drive settings for the new document (folderId, shareWith, ...)
+ * @param {Object} options.template - { templateId, variables } to start from a copy of a template
+ * @param {Object} options.page - Page setup ({ size, orientation, margins, header, footer })
+ * @param {Object} credentials - OAuth credentials (access_token and/or refresh_token) or { service_account: true, subject }
+ * @param {Function} onProgress - Called with { stage[, completed, total] } as the conversion advances
+ * @returns {Promise<Object>} Created document info ({ documentId, documentUrl[, folderId, permissions] })
+ */
+exports.createDocFromMarkdown = async (docName, markdown, options, credentials, onProgress = () => {}) => {
+  const { drive, template, page, ...conversionOptions } = options;
+  
+  // Images Google cannot fetch would fail the whole batch, so they become placeholders
+  onProgress({ stage: 'checking_images' });
+  const unavailableImages = await findUnavailableImages(collectImageUrls(markdown));
+  
+  // Process markdown to Google Docs format; a template decides where the content starts
+  const convert = (startIndex) => {
+    onProgress({ stage: 'converting' });
+    logger.info('Processing markdown to Google Docs format');
+    return processMarkdown(markdown, {
+      ...conversionOptions,
+      startIndex,
+      unavailableImages
+    });
+  };
+  
+  // Create a new document using Google Docs API with provided credentials
+  logger.info(`Creating Google Doc with name: ${docName}`);
+  return createGoogleDoc(docName, template ? convert : convert(), credentials, { onProgress, drive, template, page });
+};
@@ -0,0 +1,96 @@
+// File: src/services/googleAuthService.js
+
+const crypto = require('crypto');
+const { OAuth2Client } = require('google-auth-library');
+const logger = require('../utils/logger');
+const { saveCredentials, sealData, openSealedData } = require('./tokenStore');
+
+// Scopes asked for on the consent screen: Docs, and Drive for templates, folders, sharing and rollback
+const AUTH_SCOPES = [
+  'https://www.googleapis.com/auth/documents',
+  'https://www.googleapis.com/auth/drive'
+];
+
+// How long a started authorization waits for its callback
+const AUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Whether the OAuth client for the consent flow is configured
+ * @returns {boolean}
+ */
+exports.isAuthFlowEnabled = () => Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET);
+
+/**
+ * Starts an authorization: returns the Google consent URL, whose callback stores
+ * the granted refresh token under storeKey. The pending authorization travels in the
+ * state parameter, encrypted with TOKEN_ENCRYPTION_KEY, so any server process can
+ * complete it (pm2 cluster workers share no memory).
+ * @param {string} storeKey - Token store key of the caller
+ * @param {string} redirectUri - Callback URL registered with the OAuth client
+ * @returns {string} Consent screen URL
+ */
+exports.createAuthorizationUrl = (storeKey, redirectUri) => {
+  const state = sealData({
+    storeKey,
+    redirectUri,
+    expiresAt: Date.now() + AUTH_STATE_TTL_MS,
+    nonce: crypto.randomBytes(12).toString('hex')
+  });
+
+  // prompt=consent makes Google return a refresh token even when the user authorized before
+  return createClient(redirectUri).generateAuthUrl({
+    access_type: 'offline',
+    prompt: 'consent',
+    scope: AUTH_SCOPES,
+    state
+  });
+};
+
+/**
+ * Completes an authorization: exchanges the code for tokens and stores the refresh token
+ * @param {string} state - State parameter of the callback
+ * @param {string} code - Authorization code of the callback
+ * @returns {Promise<Object>} { scope } granted by the user
+ */
+exports.completeAuthorization = async (state, code) => {
+  const pending = openSealedData(state);
+  if (!pending || !pending.storeKey || !(pending.expiresAt > Date.now())) {
+    throw createAuthError('Unknown or expired authorization state; start again');
+  }
+
+  try {
+    const { tokens } = await createClient(pending.redirectUri).getToken(code);
+
+    if (!tokens.refresh_token) {
+      throw createAuthError('Google returned no refresh token; start again');
+    }
+
+    await saveCredentials(pending.storeKey, {
+      refresh_token: tokens.refresh_token,
+      scope: tokens.scope
+    });
+
+    logger.info('Stored Google credentials from the consent flow');
+    return { scope: tokens.scope };
+  } catch (error) {
+    logger.error(`Error completing Google authorization: ${error.message}`, { stack: error.stack });
+    throw error;
+  }
+};
+
+function createClient(redirectUri) {
+  return new OAuth2Client({
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    redirectUri
+  });
+}
+
+/**
+ * Errors the caller can fix by starting the flow again; reported with status 400
+ */
+function createAuthError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
@@ -1,48 +1,142 @@
 // File: src/services/googleDocsService.js
 
 const { google } = require('googleapis');
-const { OAuth2Client } = require('google-auth-library');
+const { OAuth2Client, JWT } = require('google-auth-library');
 const logger = require('../utils/logger');
+const { prepareRequests } = require('../utils/requestValidator');
+const { chunkRequests } = require('../utils/requestChunker');
+const { withRetry } = require('../utils/retry');
+
+// End index of a new document's body: the section break plus one empty paragraph
+const EMPTY_BODY_END_INDEX = 2;
+
+// Paragraph of a template document that is replaced by the converted markdown
+const TEMPLATE_CONTENT_MARKER = '{{content}}';
+
+// Scopes of the service account: Docs, and Drive for templates, folders, sharing and rollback
+const SERVICE_ACCOUNT_SCOPES = [
+  'https://www.googleapis.com/auth/documents',
+  'https://www.googleapis.com/auth/drive'
+];
+
+// Service account clients by impersonated user ('' for the account itself), so their tokens are reused
+const serviceAccountClients = new Map();
+
+// Portrait page sizes in points
+const PAGE_SIZES = {
+  A4: { width: 595.28, height: 841.89 },
+  Letter: { width: 612, height: 792 }
+};
+
+/**
+ * Whether requests without an OAuth token can use the service account key in GOOGLE_SERVICE_ACCOUNT_KEY_FILE
+ * @returns {boolean}
+ */
+exports.isServiceAccountEnabled = () => Boolean(process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE);
+
+/**
+ * Whether the service account may act as a Workspace user. SERVICE_ACCOUNT_IMPERSONATE lists
+ * the allowed users and domains (comma separated, e.g. "reports@example.com,@example.org");
+ * without it, nobody can be impersonated.
+ * @param {string} email - User to impersonate
+ * @returns {boolean}
+ */
+exports.canImpersonate = (email) => {
+  const address = String(email).toLowerCase();
+  const domain = address.slice(address.lastIndexOf('@'));
+
+  return (process.env.SERVICE_ACCOUNT_IMPERSONATE || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .some((entry) => entry === address || (entry.startsWith('@') ? entry === domain : `@${entry}` === domain));
+};
 
 /**
- * Creates a new Google Document
+ * Creates a new Google Document, either empty or as a copy of a template.
+ * If writing the content or applying the Drive settings fails, the half-finished document
+ * is moved to the trash; the error then carries the failed chunk (if any),
+ * and documentId when the trash call failed too.
  * @param {string} title - Document title
- * @param {Array} requests - Google Docs API requests for document content
- * @param {Object} credentials - OAuth credentials with access_token
- * @returns {Promise<Object>} Created document info
+ * @param {Object|Function} content - processMarkdown() result ({ requests, headingLinks, footnotes }), or
+ *   (startIndex) => content when a template decides where the content goes
+ * @param {Object} credentials - OAuth credentials (access_token and/or refresh_token) or { service_account: true, subject }
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Called with { stage[, completed, total] } as the doc is written
+ * @param {Object} options.drive - Drive settings ({ folderId, description, properties, shareWith, anyoneWithLink })
+ * @param {Object} options.template - { templateId, variables } to start from a copy of a template document
+ * @param {Object} options.page - Page setup ({ size, orientation, margins, header, footer })
+ * @returns {Promise<Object>} Created document info, with folderId and permissions when Drive settings were given
  */
-exports.createGoogleDoc = async (title, requests, credentials) => {
+exports.createGoogleDoc = async (title, content, credentials, { onProgress = () => {}, drive = {}, template, page = {} } = {}) => {
   try {
     // Initialize Google API client with provided OAuth credentials
-    const client = getGoogleAuthFromOAuthCredentials(credentials);
+    const client = getGoogleAuth(credentials);
     const docs = google.docs({ version: 'v1', auth: client });
     
-    // Create a new empty document
-    logger.info(`Creating new Google Doc with title: ${title}`);
-    const document = await docs.documents.create({
-      requestBody: {
-        title
-      }
-    });
+    // Check the batch locally first, so a bad index never leaves an empty doc behind
+    let safeRequests = template ? [] : prepareRequests(content.requests || []);
+    let { headingLinks, footnotes } = template ? {} : content;
+    let existingSegments = {};
+    let documentId;
     
-    const documentId = document.data.documentId;
-    
-    // If there are content requests, update the document
-    if (requests && requests.length > 0) {
-      logger.info(`Updating document ${documentId} with content (${requests.length} requests)`);
-      await docs.documents.batchUpdate({
-        documentId,
+    // Only quota errors are retried when creating, so a retry never creates a duplicate
+    if (template) {
+      logger.info(`Copying template ${template.templateId} to new Google Doc with title: ${title}`);
+      onProgress({ stage: 'copying_template' });
+      documentId = await copyTemplate(client, template.templateId, title);
+    } else {
+      logger.info(`Creating new Google Doc with title: ${title}`);
+      onProgress({ stage: 'creating' });
+      const document = await withRetry(() => docs.documents.create({
         requestBody: {
-          requests
+          title
         }
-      });
+      }), { description: 'Creating Google Doc', statuses: [429] });
+      documentId = document.data.documentId;
+    }
+    
+    let driveInfo;
+    
+    try {
+      if (template) {
+        ({ requests: safeRequests, headingLinks, footnotes, existingSegments } = await fillTemplate(docs, documentId, template.variables, content));
+      }
+      
+      // Page setup goes last, so its margins win over the theme's
+      const allRequests = [...safeRequests, ...getPageSetupRequests(page, existingSegments)];
+      
+      // If there are content requests, update the document
+      if (allRequests.length > 0) {
+        logger.info(`Updating document ${documentId} with content (${allRequests.length} requests)`);
+        const replies = await applyRequests(docs, documentId, allRequests, { onProgress });
+        await fillSegments(docs, documentId, allRequests, replies, { footnotes, header: page.header, footer: page.footer, existingSegments });
+      }
+      
+      await linkHeadings(docs, documentId, headingLinks, onProgress);
+    } catch (error) {
+      error.rolledBack = await trashDocument(client, documentId);
+      if (!error.rolledBack) {
+        error.documentId = documentId;
+      }
+      throw error;
+    }
+    
+    try {
+      driveInfo = await applyDriveSettings(client, documentId, drive, onProgress);
+    } catch (error) {
+      // The content is complete, so the document is kept and reported
+      error.rolledBack = false;
+      error.documentId = documentId;
+      throw error;
     }
     
     logger.info(`Successfully created Google Doc with ID: ${documentId}`);
     
     return {
       documentId,
-      documentUrl: `https://docs.google.com/document/d/${documentId}/edit`
+      documentUrl: `https://docs.google.com/document/d/${documentId}/edit`,
+      ...driveInfo
     };
   } catch (error) {
     logger.error(`Error creating Google Doc: ${error.message}`, { stack: error.stack });
@@ -50,22 +144,94 @@ exports.createGoogleDoc = async (title, requests, credentials) => {
   }
 };
 
+/**
+ * Updates the body of an existing Google Document
+ * @param {string} documentId - Google Doc ID
+ * @param {Object} content - processMarkdown() result for getContentStartIndex() ({ requests, headingLinks, footnotes })
+ * @param {Object} credentials - OAuth credentials (access_token and/or refresh_token) or { service_account: true, subject }
+ * @param {Object} options - Update options
+ * @param {string} options.strategy - 'replace' the existing body or 'append' to it
+ * @param {number} options.endIndex - Current body end index from getDocumentState()
+ * @param {string} options.revisionId - Revision the end index was read at, from getDocumentState()
+ * @returns {Promise<Object>} Updated document info
+ */
+exports.updateGoogleDoc = async (documentId, content, credentials, { strategy, endIndex, revisionId }) => {
+  try {
+    const client = getGoogleAuth(credentials);
+    const docs = google.docs({ version: 'v1', auth: client });
+
+    const preparation = getPreparationRequests(strategy, endIndex);
+    const allRequests = prepareRequests([...preparation, ...(content.requests || [])], { endIndex });
+
+    if (allRequests.length > 0) {
+      logger.info(`Updating document ${documentId} using "${strategy}" strategy (${allRequests.length} requests)`);
+      // An edit made since the end index was read fails the first batch instead of landing at a wrong index
+      const replies = await applyRequests(docs, documentId, allRequests, { revisionId });
+      await fillSegments(docs, documentId, allRequests, replies, { footnotes: content.footnotes });
+    }
+
+    await linkHeadings(docs, documentId, content.headingLinks);
+
+    logger.info(`Successfully updated Google Doc with ID: ${documentId}`);
+
+    return {
+      documentId,
+      documentUrl: `https://docs.google.com/document/d/${documentId}/edit`
+    };
+  } catch (error) {
+    logger.error(`Error updating Google Doc: ${error.message}`, { stack: error.stack });
+    throw error;
+  }
+};
+
+/**
+ * Reads the end index of a document body, and the revision it belongs to
+ * @param {string} documentId - Google Doc ID
+ * @param {Object} credentials - OAuth credentials (access_token and/or refresh_token) or { service_account: true, subject }
+ * @returns {Promise<Object>} { endIndex, revisionId } where endIndex is just past the body's final newline
+ */
+exports.getDocumentState = async (documentId, credentials) => {
+  const document = await exports.getDocumentMetadata(documentId, credentials);
+  const content = (document.body && document.body.content) || [];
+  const last = content[content.length - 1];
+
+  return {
+    endIndex: last && last.endIndex ? last.endIndex : EMPTY_BODY_END_INDEX,
+    revisionId: document.revisionId
+  };
+};
+
+/**
+ * Gets the index new content should be generated for
+ * @param {string} strategy - 'replace' or 'append'
+ * @param {number} endIndex - Current body end index
+ * @returns {number} Start index to pass to processMarkdown()
+ */
+exports.getContentStartIndex = (strategy, endIndex) => {
+  if (strategy === 'append' && endIndex > EMPTY_BODY_END_INDEX) {
+    // Content goes into the new empty paragraph added after the existing body
+    return endIndex;
+  }
+
+  return 1;
+};
+
 /**
  * Gets document metadata
  * @param {string} documentId - Google Doc ID
- * @param {Object} credentials - OAuth credentials with access_token
+ * @param {Object} credentials - OAuth credentials (access_token and/or refresh_token) or { service_account: true, subject }
  * @returns {Promise<Object>} Document metadata
  */
 exports.getDocumentMetadata = async (documentId, credentials) => {
   try {
     // Initialize Google API client with provided credentials
-    const client = getGoogleAuthFromOAuthCredentials(credentials);
+    const client = getGoogleAuth(credentials);
     const docs = google.docs({ version: 'v1', auth: client });
     
     // Get document metadata
-    const response = await docs.documents.get({
+    const response = await withRetry(() => docs.documents.get({
       documentId
-    });
+    }), { description: `Reading Google Doc ${documentId}` });
     
     return response.data;
   } catch (error) {
@@ -75,21 +241,637 @@ exports.getDocumentMetadata = async (documentId, credentials) => {
 };
 
 /**
- * Gets Google Auth client from provided OAuth credentials
- * @param {Object} credentials - OAuth credentials with access_token
+ * Sends requests as consecutive batchUpdate calls small enough for the Docs API,
+ * retrying quota and transient errors. A chunk that still fails stops the run
+ * with an error describing it (error.chunk); earlier chunks stay applied.
+ * Every call requires the revision left by the previous one, so the document cannot change
+ * between chunks. Before retrying a chunk the revision is read again: if it moved, the failed
+ * call was applied after all and its response was lost, so the chunk is not sent twice.
+ * @param {Object} docs - Docs API client
+ * @param {string} documentId - Google Doc ID
+ * @param {Array} requests - Validated Google Docs API requests
+ * @param {Object} options - Write options
+ * @param {Function} options.onProgress - Called with { stage: 'writing', completed, total } after each chunk
+ * @param {string} options.revisionId - Revision the requests were built for (default: the current one)
+ * @returns {Promise<Array>} One reply per request, in request order (a split insertText gets the reply of its first piece;
+ *   requests of a chunk whose response was lost have none)
+ */
+async function applyRequests(docs, documentId, requests, { onProgress = () => {}, revisionId: initialRevisionId } = {}) {
+  const chunks = chunkRequests(requests);
+  const replies = [];
+  let revisionId = initialRevisionId || await getRevisionId(docs, documentId);
+
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    const description = `Batch ${i + 1}/${chunks.length} for document ${documentId}`;
+
+    if (chunks.length > 1) {
+      logger.info(`${description}: requests ${chunk.firstRequest}-${chunk.lastRequest}`);
+    }
+
+    try {
+      let attempts = 0;
+      const response = await withRetry(async () => {
+        if (attempts++ > 0) {
+          const currentRevisionId = await getRevisionId(docs, documentId);
+          if (currentRevisionId !== revisionId) {
+            logger.warn(`${description}: document moved to a new revision during the failed attempt, treating the batch as applied`);
+            return { data: { writeControl: { requiredRevisionId: currentRevisionId } } };
+          }
+        }
+
+        return docs.documents.batchUpdate({
+          documentId,
+          requestBody: {
+            requests: chunk.requests,
+            writeControl: { requiredRevisionId: revisionId }
+          }
+        });
+      }, { description });
+      const data = (response && response.data) || {};
+      (data.replies || []).forEach((reply, j) => {
+        const requestIndex = chunk.requestIndexes[j];
+        if (replies[requestIndex] === undefined) {
+          replies[requestIndex] = reply;
+        }
+      });
+      revisionId = data.writeControl && data.writeControl.requiredRevisionId;
+    } catch (error) {
+      error.chunk = {
+        index: i + 1,
+        total: chunks.length,
+        firstRequest: chunk.firstRequest,
+        lastRequest: chunk.lastRequest
+      };
+      error.message = `${description} failed (requests ${chunk.firstRequest}-${chunk.lastRequest}): ${error.message}`;
+      throw error;
+    }
+
+    onProgress({ stage: 'writing', completed: i + 1, total: chunks.length });
+  }
+
+  return replies;
+}
+
+/**
+ * Reads the current revision of a document, which the first batchUpdate requires
+ * @param {Object} docs - Docs API client
+ * @param {string} documentId - Google Doc ID
+ * @returns {Promise<string>} Revision ID
+ */
+async function getRevisionId(docs, documentId) {
+  const response = await withRetry(() => docs.documents.get({
+    documentId,
+    fields: 'revisionId'
+  }), { description: `Reading revision of document ${documentId}` });
+
+  return response.data.revisionId;
+}
+
+/**
+ * Writes text into the segments the batch created: footnotes, and the page header and footer.
+ * A footnote request is matched to its footnote by location, since validation may drop requests.
+ * A header or footer the template already had gets the text as a new last line.
+ * @param {Object} docs - Docs API client
+ * @param {string} documentId - Google Doc ID
+ * @param {Array} requests - Requests sent by applyRequests()
+ * @param {Array} replies - Replies returned by applyRequests()
+ * @param {Object} texts - { footnotes, header, footer, existingSegments } where footnotes are processMarkdown()
+ *   footnotes and existingSegments comes from fillTemplate()
+ */
+async function fillSegments(docs, documentId, requests, replies, { footnotes = [], header, footer, existingSegments = {} } = {}) {
+  const requestsForText = [];
+
+  for (const [segment, text] of [[existingSegments.header, header], [existingSegments.footer, footer]]) {
+    if (segment && text) {
+      requestsForText.push({
+        insertText: {
+          text: segment.endsEmpty ? text : `\n${text}`,
+          endOfSegmentLocation: { segmentId: segment.segmentId }
+        }
+      });
+    }
+  }
+
+  requests.forEach((request, i) => {
+    const reply = replies[i] || {};
+    let text;
+    let segmentId;
+
+    if (request.createFootnote && reply.createFootnote) {
+      const footnote = footnotes.find((candidate) => candidate.index === request.createFootnote.location.index);
+      text = footnote && footnote.text;
+      segmentId = reply.createFootnote.footnoteId;
+    } else if (request.createHeader && reply.createHeader) {
+      text = header;
+      segmentId = reply.createHeader.headerId;
+    } else if (request.createFooter && reply.createFooter) {
+      text = footer;
+      segmentId = reply.createFooter.footerId;
+    }
+
+    if (text) {
+      // New segments hold an empty paragraph (a footnote: a space); the text goes before its newline
+      requestsForText.push({
+        insertText: {
+          text,
+          endOfSegmentLocation: { segmentId }
+        }
+      });
+    }
+  });
+
+  if (requestsForText.length > 0) {
+    logger.info(`Writing ${requestsForText.length} footnote, header or footer text(s) in document ${documentId}`);
+    await applyRequests(docs, documentId, requestsForText);
+  }
+}
+
+/**
+ * Copies a template document through the Drive API
+ * @param {OAuth2Client} client - Authenticated client
+ * @param {string} templateId - Drive ID of the template document
+ * @param {string} title - Title of the copy
+ * @returns {Promise<string>} ID of the new document
+ */
+async function copyTemplate(client, templateId, title) {
+  const drive = google.drive({ version: 'v3', auth: client });
+
+  try {
+    const response = await withRetry(() => drive.files.copy({
+      fileId: templateId,
+      requestBody: { name: title },
+      fields: 'id',
+      supportsAllDrives: true
+    }), { description: `Copying template ${templateId}`, statuses: [429] });
+
+    return response.data.id;
+  } catch (error) {
+    error.message = `Copying template ${templateId} failed: ${error.message}`;
+    throw error;
+  }
+}
+
+/**
+ * Fills {{variable}} placeholders of a copied template and builds the requests
+ * that put the content where the {{content}} marker paragraph is
+ * @param {Object} docs - Docs API client
+ * @param {string} documentId - ID of the copied template
+ * @param {Object} variables - Placeholder names mapped to their values
+ * @param {Function} buildContent - (startIndex) => processMarkdown() result
+ * @returns {Promise<Object>} { requests, headingLinks, footnotes, existingSegments } where requests replace the marker
+ *   with the content and existingSegments describes the template's default { header, footer }, if it has them
+ */
+async function fillTemplate(docs, documentId, variables = {}, buildContent) {
+  const replacements = Object.entries(variables).map(([name, value]) => ({
+    replaceAllText: {
+      containsText: { text: `{{${name}}}`, matchCase: true },
+      replaceText: String(value)
+    }
+  }));
+
+  // Placeholders are filled first (headers and footers included), so the marker is found at its final index
+  if (replacements.length > 0) {
+    await withRetry(() => docs.documents.batchUpdate({
+      documentId,
+      requestBody: { requests: replacements }
+    }), { description: `Filling placeholders of document ${documentId}` });
+  }
+
+  const response = await withRetry(() => docs.documents.get({
+    documentId
+  }), { description: `Reading Google Doc ${documentId}` });
+  const content = (response.data.body && response.data.body.content) || [];
+  const documentStyle = response.data.documentStyle || {};
+  const marker = content.find((element) => element.paragraph && getParagraphText(element.paragraph).includes(TEMPLATE_CONTENT_MARKER));
+
+  if (!marker) {
+    throw new Error(`Template has no ${TEMPLATE_CONTENT_MARKER} paragraph to put the content in`);
+  }
+  if (getParagraphText(marker.paragraph).trim() !== TEMPLATE_CONTENT_MARKER) {
+    throw new Error(`The ${TEMPLATE_CONTENT_MARKER} marker must be on a line of its own in the template`);
+  }
+
+  const { startIndex, endIndex } = marker;
+  const last = content[content.length - 1];
+  const requests = [];
+
+  // Empty the marker paragraph, keeping its newline; the content is inserted in its place
+  if (endIndex - 1 > startIndex) {
+    requests.push({
+      deleteContentRange: {
+        range: { startIndex, endIndex: endIndex - 1 }
+      }
+    });
+  }
+  requests.push(...getParagraphResetRequests(startIndex));
+
+  const converted = buildContent(startIndex);
+  return {
+    requests: prepareRequests([...requests, ...converted.requests], { endIndex: last.endIndex }),
+    headingLinks: converted.headingLinks,
+    footnotes: converted.footnotes,
+    existingSegments: {
+      header: findSegment(response.data.headers, documentStyle.defaultHeaderId),
+      footer: findSegment(response.data.footers, documentStyle.defaultFooterId)
+    }
+  };
+}
+
+/**
+ * Looks up a header or footer of a document
+ * @param {Object} segments - Docs API headers or footers, by ID
+ * @param {string} segmentId - ID of the header or footer
+ * @returns {Object|undefined} { segmentId, endsEmpty } where endsEmpty tells whether its last paragraph has no text
+ */
+function findSegment(segments = {}, segmentId) {
+  if (!segmentId || !segments[segmentId]) {
+    return undefined;
+  }
+
+  const content = segments[segmentId].content || [];
+  const last = content[content.length - 1];
+
+  // A paragraph holding only an image (a logo) has no text, but is not empty
+  const endsEmpty = !last || !last.paragraph || ((last.paragraph.elements || []).every((element) => element.textRun) &&
+    getParagraphText(last.paragraph).trim() === '');
+
+  return { segmentId, endsEmpty };
+}
+
+/**
+ * Links ranges to the headings they name. Docs assigns heading IDs only once a heading
+ * exists, so they are read back from the written document: by the heading's index,
+ * or by its text when the index moved (Docs removes list nesting tabs, for example).
+ * @param {Object} docs - Docs API client
+ * @param {string} documentId - Google Doc ID
+ * @param {Array} headingLinks - processMarkdown() heading links
+ * @param {Function} onProgress - Called with { stage: 'linking' } before any call
+ */
+async function linkHeadings(docs, documentId, headingLinks = [], onProgress = () => {}) {
+  if (headingLinks.length === 0) {
+    return;
+  }
+
+  onProgress({ stage: 'linking' });
+  const response = await withRetry(() => docs.documents.get({
+    documentId
+  }), { description: `Reading headings of Google Doc ${documentId}` });
+
+  const headings = ((response.data.body && response.data.body.content) || [])
+    .filter((element) => element.paragraph && element.paragraph.paragraphStyle && element.paragraph.paragraphStyle.headingId)
+    .map((element) => ({
+      startIndex: element.startIndex,
+      text: getParagraphText(element.paragraph).trim(),
+      headingId: element.paragraph.paragraphStyle.headingId
+    }));
+
+  const requests = [];
+  for (const link of headingLinks) {
+    const heading = headings.find((candidate) => candidate.startIndex === link.heading.startIndex && candidate.text === link.heading.text) ||
+      headings.find((candidate) => candidate.text === link.heading.text);
+
+    if (!heading) {
+      logger.warn(`No heading "${link.heading.text}" found in document ${documentId}, leaving its link out`);
+      continue;
+    }
+
+    requests.push({
+      updateTextStyle: {
+        textStyle: { link: { headingId: heading.headingId } },
+        range: { startIndex: link.startIndex, endIndex: link.endIndex },
+        fields: 'link'
+      }
+    });
+  }
+
+  if (requests.length > 0) {
+    logger.info(`Linking ${requests.length} range(s) to headings in document ${documentId}`);
+    await applyRequests(docs, documentId, requests);
+  }
+}
+
+/**
+ * Concatenates the text runs of a paragraph
+ * @param {Object} paragraph - Docs API paragraph
+ * @returns {string} Paragraph text, including its final newline
+ */
+function getParagraphText(paragraph) {
+  return (paragraph.elements || [])
+    .map((element) => (element.textRun ? element.textRun.content : ''))
+    .join('');
+}
+
+/**
+ * Moves a new document into a folder, sets its description and shares it through the Drive API
+ * @param {OAuth2Client} client - Authenticated client
+ * @param {string} documentId - Google Doc ID
+ * @param {Object} settings - Drive settings
+ * @param {string} settings.folderId - Folder the document is moved into
+ * @param {string} settings.description - Drive file description
+ * @param {Object} settings.properties - Drive file properties (string values)
+ * @param {Array} settings.shareWith - [{ email, role }] users to share the document with
+ * @param {boolean|string} settings.anyoneWithLink - Role for anyone with the link (true means 'reader')
+ * @param {Function} onProgress - Called with { stage: 'sharing' } before any Drive call
+ * @returns {Promise<Object>} { folderId, permissions }; a share that failed is listed as { emailAddress, error }
+ */
+async function applyDriveSettings(client, documentId, settings, onProgress) {
+  const { folderId, description, properties, shareWith = [], anyoneWithLink } = settings;
+  const permissionRequests = shareWith.map(({ email, role }) => ({ type: 'user', role, emailAddress: email }));
+
+  if (anyoneWithLink) {
+    permissionRequests.push({
+      type: 'anyone',
+      role: anyoneWithLink === true ? 'reader' : anyoneWithLink,
+      allowFileDiscovery: false
+    });
+  }
+
+  const fileChanges = {};
+  if (description !== undefined) {
+    fileChanges.description = description;
+  }
+  if (properties && Object.keys(properties).length > 0) {
+    fileChanges.properties = properties;
+  }
+
+  if (!folderId && Object.keys(fileChanges).length === 0 && permissionRequests.length === 0) {
+    return {};
+  }
+
+  onProgress({ stage: 'sharing' });
+  const drive = google.drive({ version: 'v3', auth: client });
+  const result = {};
+
+  if (folderId || Object.keys(fileChanges).length > 0) {
+    const params = {
+      fileId: documentId,
+      requestBody: fileChanges,
+      fields: 'id,parents',
+      supportsAllDrives: true
+    };
+
+    if (folderId) {
+      // A new doc sits in the root of My Drive; moving means swapping that parent for the folder
+      const file = await withRetry(() => drive.files.get({
+        fileId: documentId,
+        fields: 'parents',
+        supportsAllDrives: true
+      }), { description: `Reading parents of Google Doc ${documentId}` });
+      params.addParents = folderId;
+      params.removeParents = (file.data.parents || []).join(',');
+    }
+
+    try {
+      await withRetry(() => drive.files.update(params), { description: `Updating Drive file ${documentId}` });
+    } catch (error) {
+      error.message = `${folderId ? `Moving the document to folder ${folderId}` : 'Updating the file details'} failed: ${error.message}`;
+      throw error;
+    }
+
+    if (folderId) {
+      logger.info(`Moved Google Doc ${documentId} to folder ${folderId}`);
+      result.folderId = folderId;
+    }
+  }
+
+  if (permissionRequests.length > 0) {
+    result.permissions = [];
+
+    for (const permission of permissionRequests) {
+      const target = permission.emailAddress || 'anyone with the link';
+      try {
+        const response = await withRetry(() => drive.permissions.create({
+          fileId: documentId,
+          requestBody: permission,
+          fields: 'id,type,role,emailAddress',
+          supportsAllDrives: true
+        }), { description: `Sharing Google Doc ${documentId} with ${target}` });
+        result.permissions.push(response.data);
+      } catch (error) {
+        // One refused share should not cost the others, or the document
+        logger.warn(`Sharing Google Doc ${documentId} with ${target} failed: ${error.message}`);
+        result.permissions.push(permission.emailAddress
+          ? { emailAddress: permission.emailAddress, error: error.message }
+          : { type: permission.type, error: error.message });
+      }
+    }
+
+    const applied = result.permissions.filter((permission) => !permission.error).length;
+    logger.info(`Applied ${applied} of ${result.permissions.length} permission(s) to Google Doc ${documentId}`);
+  }
+
+  return result;
+}
+
+/**
+ * Moves a document to the trash through the Drive API
+ * @param {OAuth2Client} client - Authenticated client
+ * @param {string} documentId - Google Doc ID
+ * @returns {Promise<boolean>} Whether the document was trashed
+ */
+async function trashDocument(client, documentId) {
+  try {
+    const drive = google.drive({ version: 'v3', auth: client });
+    await withRetry(() => drive.files.update({
+      fileId: documentId,
+      requestBody: { trashed: true }
+    }), { description: `Trashing Google Doc ${documentId}` });
+
+    logger.warn(`Moved incomplete Google Doc ${documentId} to the trash`);
+    return true;
+  } catch (error) {
+    logger.error(`Could not trash incomplete Google Doc ${documentId}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Builds the requests that set up the pages of a new document. Header and footer
+ * text is written once the reply gives their segment IDs. A document has one default
+ * header and footer, so ones a template already has are reused instead of created.
+ * @param {Object} page - { size: 'A4'|'Letter', orientation, margins (points, one number or
+ *   { top, bottom, left, right }), header, footer }
+ * @param {Object} existingSegments - { header, footer } the document already has, from fillTemplate()
+ * @returns {Array} Google Docs API requests
+ */
+function getPageSetupRequests(page, existingSegments = {}) {
+  const documentStyle = {};
+  const requests = [];
+
+  if (page.size || page.orientation) {
+    const { width, height } = PAGE_SIZES[page.size || 'Letter'];
+    const landscape = page.orientation === 'landscape';
+    documentStyle.pageSize = {
+      width: { magnitude: landscape ? height : width, unit: 'PT' },
+      height: { magnitude: landscape ? width : height, unit: 'PT' }
+    };
+  }
+
+  if (page.margins !== undefined) {
+    const margins = typeof page.margins === 'number'
+      ? { top: page.margins, bottom: page.margins, left: page.margins, right: page.margins }
+      : page.margins;
+
+    for (const [side, magnitude] of Object.entries(margins)) {
+      documentStyle[`margin${side[0].toUpperCase()}${side.slice(1)}`] = { magnitude, unit: 'PT' };
+    }
+  }
+
+  if (Object.keys(documentStyle).length > 0) {
+    requests.push({
+      updateDocumentStyle: {
+        documentStyle,
+        fields: Object.keys(documentStyle).join(',')
+      }
+    });
+  }
+  if (page.header && !existingSegments.header) {
+    requests.push({ createHeader: { type: 'DEFAULT' } });
+  }
+  if (page.footer && !existingSegments.footer) {
+    requests.push({ createFooter: { type: 'DEFAULT' } });
+  }
+
+  return requests;
+}
+
+/**
+ * Builds the requests that make room for new content
+ * @param {string} strategy - 'replace' or 'append'
+ * @param {number} endIndex - Current body end index
+ * @returns {Array} Google Docs API requests to run before the content requests
+ */
+function getPreparationRequests(strategy, endIndex) {
+  if (endIndex <= EMPTY_BODY_END_INDEX) {
+    return [];
+  }
+
+  const requests = [];
+  let paragraphIndex = 1;
+
+  if (strategy === 'append') {
+    // Start a new paragraph after the existing body's last paragraph
+    requests.push({
+      insertText: {
+        text: '\n',
+        location: { index: endIndex - 1 }
+      }
+    });
+    paragraphIndex = endIndex;
+  } else {
+    // The body's final newline can never be deleted, so everything before it goes
+    requests.push({
+      deleteContentRange: {
+        range: {
+          startIndex: 1,
+          endIndex: endIndex - 1
+        }
+      }
+    });
+  }
+
+  requests.push(...getParagraphResetRequests(paragraphIndex));
+
+  return requests;
+}
+
+/**
+ * Builds the requests that turn an emptied paragraph back into plain text.
+ * The remaining empty paragraph keeps whatever style it had, which new content would inherit.
+ * @param {number} paragraphIndex - Start index of the empty paragraph
+ * @returns {Array} Google Docs API requests
+ */
+function getParagraphResetRequests(paragraphIndex) {
+  const range = { startIndex: paragraphIndex, endIndex: paragraphIndex + 1 };
+
+  return [
+    {
+      updateParagraphStyle: {
+        paragraphStyle: {
+          namedStyleType: 'NORMAL_TEXT'
+        },
+        range,
+        fields: 'namedStyleType'
+      }
+    },
+    {
+      deleteParagraphBullets: {
+        range
+      }
+    }
+  ];
+}
+
+/**
+ * Gets the Google Auth client for a request's credentials: the service account
+ * (impersonating credentials.subject, if set) or the caller's OAuth token
+ * @param {Object} credentials - OAuth credentials, or { service_account: true, subject }
+ * @returns {OAuth2Client|JWT} Authenticated client
+ */
+function getGoogleAuth(credentials) {
+  if (credentials.service_account) {
+    return getServiceAccountClient(credentials.subject);
+  }
+
+  return getGoogleAuthFromOAuthCredentials(credentials);
+}
+
+/**
+ * Gets the service account client, acting as the given Workspace user through
+ * domain-wide delegation when subject is set
+ * @param {string} subject - Email of the user to impersonate (optional)
+ * @returns {JWT} Service account client
+ */
+function getServiceAccountClient(subject) {
+  const key = subject || '';
+
+  if (!serviceAccountClients.has(key)) {
+    logger.info(subject ? `Using service account impersonating ${subject}` : 'Using service account');
+    serviceAccountClients.set(key, new JWT({
+      keyFile: process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE,
+      scopes: SERVICE_ACCOUNT_SCOPES,
+      subject
+    }));
+  }
+
+  return serviceAccountClients.get(key);
+}
+
+/**
+ * Gets Google Auth client from provided OAuth credentials. With a refresh_token and a client ID
+ * and secret (from the credentials or GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET), an expired or
+ * rejected access token is refreshed automatically; the new token is written back into
+ * credentials (with refreshed: true), so later calls and the response use it.
+ * @param {Object} credentials - OAuth credentials ({ access_token, refresh_token, expiry_date, client_id, client_secret })
  * @returns {OAuth2Client} Authenticated OAuth2 client
  */
 function getGoogleAuthFromOAuthCredentials(credentials) {
   try {
-    // Create OAuth2 client
-    const oauth2Client = new OAuth2Client();
+    // Create OAuth2 client; a token Google rejects is refreshed even when its expiry_date looks valid
+    const oauth2Client = new OAuth2Client({
+      clientId: credentials.client_id || process.env.GOOGLE_CLIENT_ID,
+      clientSecret: credentials.client_secret || process.env.GOOGLE_CLIENT_SECRET,
+      forceRefreshOnFailure: true
+    });
     
-    // Set credentials directly - only access_token is required
+    // Without a refresh_token, only access_token is required
     oauth2Client.setCredentials({
       access_token: credentials.access_token,
+      refresh_token: credentials.refresh_token,
+      expiry_date: credentials.expiry_date,
       token_type: credentials.token_type || 'Bearer'
     });
     
+    oauth2Client.on('tokens', (tokens) => {
+      logger.info('Refreshed Google access token');
+      Object.assign(credentials, {
+        access_token: tokens.access_token,
+        expiry_date: tokens.expiry_date,
+        refreshed: true
+      });
+    });
+    
     return oauth2Client;
   } catch (error) {
     logger.error(`Error setting up OAuth2 client: ${error.message}`, { stack: error.stack });
@@ -0,0 +1,89 @@
+// File: src/services/imageService.js
+
+const http = require('http');
+const https = require('https');
+const logger = require('../utils/logger');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { isPublicHost, lookupPublicAddress } = require('../utils/addressFilter');
+
+// How long to wait for each image URL before treating it as unreachable
+const IMAGE_CHECK_TIMEOUT_MS = parseInt(process.env.IMAGE_CHECK_TIMEOUT_MS, 10) || 5000;
+
+// Image URLs checked at the same time
+const IMAGE_CHECK_CONCURRENCY = parseInt(process.env.IMAGE_CHECK_CONCURRENCY, 10) || 4;
+
+/**
+ * Finds image URLs that Google would fail to fetch, so they can be rendered
+ * as placeholders instead of failing the whole batchUpdate. URLs on internal
+ * addresses (loopback, private, link-local) are never requested and count as unavailable.
+ * @param {Array} urls - Image URLs referenced in the markdown
+ * @returns {Promise<Set>} URLs that are unreachable or do not serve an image
+ */
+exports.findUnavailableImages = async (urls) => {
+  const checkable = urls.filter((url) => /^https:\/\//i.test(url)); // Other schemes always become placeholders
+  const results = await mapWithConcurrency(checkable, IMAGE_CHECK_CONCURRENCY, async (url) => ({
+    url,
+    available: await isImageAvailable(url)
+  }));
+  const unavailable = new Set(results.filter((result) => !result.available).map((result) => result.url));
+
+  if (unavailable.size > 0) {
+    logger.warn(`${unavailable.size} image(s) unavailable, using placeholders`, { urls: [...unavailable] });
+  }
+
+  return unavailable;
+};
+
+/**
+ * Sends a HEAD request for an image URL on a public address
+ * @param {string} url - Image URL
+ * @returns {Promise<boolean>} Whether the URL answers with something Google can insert
+ */
+async function isImageAvailable(url) {
+  let hostname;
+  try {
+    ({ hostname } = new URL(url));
+  } catch (error) {
+    logger.debug(`Invalid image URL ${url}: ${error.message}`);
+    return false;
+  }
+
+  if (!(await isPublicHost(hostname))) {
+    logger.warn(`Not checking image ${url}: ${hostname} is not a public address`);
+    return false;
+  }
+
+  return sendHeadRequest(url);
+}
+
+function sendHeadRequest(url) {
+  return new Promise((resolve) => {
+    let request;
+    try {
+      const client = url.startsWith('https:') ? https : http;
+      const options = { method: 'HEAD', timeout: IMAGE_CHECK_TIMEOUT_MS, lookup: lookupPublicAddress };
+      request = client.request(url, options, (response) => {
+        response.resume();
+
+        // Some servers refuse HEAD but still serve the image to Google
+        if (response.statusCode === 405) {
+          return resolve(true);
+        }
+
+        const contentType = response.headers['content-type'] || '';
+        const isImage = !contentType || contentType.startsWith('image/');
+        resolve(response.statusCode < 400 && isImage);
+      });
+    } catch (error) {
+      logger.debug(`Invalid image URL ${url}: ${error.message}`);
+      return resolve(false);
+    }
+
+    request.on('timeout', () => request.destroy(new Error('Timed out')));
+    request.on('error', (error) => {
+      logger.debug(`Image check failed for ${url}: ${error.message}`);
+      resolve(false);
+    });
+    request.end();
+  });
+}
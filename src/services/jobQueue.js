@@ -0,0 +1,192 @@
+// File: src/services/jobQueue.js
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { createJobStore } = require('./jobStore');
+const { sendWebhook } = require('./webhookService');
+
+// How many jobs run at the same time; the rest wait in order
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+
+// Finished jobs are forgotten after this long
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS, 10) || 24 * 60 * 60 * 1000;
+
+// The process running a job; pm2 numbers cluster workers with NODE_APP_INSTANCE and
+// a restarted worker keeps its number, so it can tell its own interrupted jobs apart
+const INSTANCE_ID = process.env.NODE_APP_INSTANCE || '0';
+
+const store = createJobStore();
+const pending = [];
+const saving = new Map(); // Job ID -> last save, so saves of one job land in order
+let running = 0;
+
+/**
+ * Queue a job and start it as soon as a slot is free
+ * @param {Object} definition - Job definition
+ * @param {string} definition.type - Job type, reported back to callers
+ * @param {Function} definition.run - async (reportProgress) => result; runs with bounded concurrency
+ * @param {string} definition.callbackUrl - URL receiving a signed POST when the job finishes
+ * @returns {Promise<Object>} The queued job, as getJob() reports it
+ */
+exports.enqueueJob = async ({ type, run, callbackUrl }) => {
+  await pruneFinishedJobs();
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    progress: null,
+    result: null,
+    error: null,
+    callbackUrl: callbackUrl || null,
+    owner: { instance: INSTANCE_ID, pid: process.pid },
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await store.save(job);
+  pending.push({ id: job.id, run });
+  logger.info(`Queued ${type} job ${job.id} (${pending.length} waiting, ${running} running)`);
+
+  setImmediate(drainQueue);
+  return describeJob(job);
+};
+
+/**
+ * Get a job as reported to callers
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|undefined>} Job record without its callback URL and owner
+ */
+exports.getJob = async (id) => {
+  const job = await store.get(id);
+  return job && describeJob(job);
+};
+
+/**
+ * Mark jobs that were queued or running when this instance's previous process stopped
+ * as failed. Only the file store keeps them; their credentials were in memory and are gone.
+ * Jobs of other cluster workers are left alone, since those workers may still be running them.
+ * @returns {Promise<number>} Number of jobs marked as failed
+ */
+exports.recoverInterruptedJobs = async () => {
+  const interrupted = (await store.list()).filter((job) =>
+    (job.status === 'queued' || job.status === 'running') && isOwnInterruptedJob(job)
+  );
+
+  for (const job of interrupted) {
+    await finishJob(job, 'failed', { error: { message: 'Interrupted by a server restart' } });
+  }
+
+  if (interrupted.length > 0) {
+    logger.warn(`Marked ${interrupted.length} interrupted job(s) as failed`);
+  }
+
+  return interrupted.length;
+};
+
+/**
+ * Start queued jobs while there are free slots
+ */
+function drainQueue() {
+  while (running < JOB_CONCURRENCY && pending.length > 0) {
+    const next = pending.shift();
+    running += 1;
+
+    runJob(next)
+      .catch((error) => logger.error(`Job ${next.id} bookkeeping failed: ${error.message}`, { stack: error.stack }))
+      .finally(() => {
+        running -= 1;
+        drainQueue();
+      });
+  }
+}
+
+async function runJob({ id, run }) {
+  const job = await store.get(id);
+  if (!job) {
+    return;
+  }
+
+  await updateJob(job, { status: 'running', startedAt: new Date().toISOString() });
+
+  // Progress is saved in the background; a slow store never holds the job up
+  const reportProgress = (progress) => {
+    updateJob(job, { progress }).catch((error) => logger.warn(`Could not save progress of job ${id}: ${error.message}`));
+  };
+
+  try {
+    const result = await run(reportProgress);
+    await finishJob(job, 'completed', { result });
+    logger.info(`Job ${id} completed`);
+  } catch (error) {
+    logger.error(`Job ${id} failed: ${error.message}`, { stack: error.stack });
+    await finishJob(job, 'failed', { error: { message: error.message, ...error.details } });
+  }
+}
+
+/**
+ * Record the outcome of a job and notify its callback URL
+ */
+async function finishJob(job, status, outcome) {
+  await updateJob(job, { status, ...outcome, completedAt: new Date().toISOString() });
+
+  if (!job.callbackUrl) {
+    return;
+  }
+
+  try {
+    await sendWebhook(job.callbackUrl, { event: `job.${status}`, job: describeJob(job) });
+    await updateJob(job, { webhook: { delivered: true } });
+  } catch (error) {
+    logger.error(`Webhook for job ${job.id} failed: ${error.message}`);
+    await updateJob(job, { webhook: { delivered: false, error: error.message } });
+  }
+}
+
+async function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+
+  const previous = saving.get(job.id) || Promise.resolve();
+  const save = previous.catch(() => {}).then(() => store.save(job));
+  saving.set(job.id, save);
+
+  try {
+    await save;
+  } finally {
+    if (saving.get(job.id) === save) {
+      saving.delete(job.id);
+    }
+  }
+}
+
+/**
+ * Whether a job was left behind by an earlier process of this instance
+ * (jobs saved before owners were recorded count as instance 0's)
+ */
+function isOwnInterruptedJob(job) {
+  const owner = job.owner || { instance: '0' };
+  return owner.instance === INSTANCE_ID && owner.pid !== process.pid;
+}
+
+/**
+ * The job as callers see it: where it runs and where it reports to stay internal
+ */
+function describeJob(job) {
+  const { callbackUrl, owner, ...visible } = job;
+  return visible;
+}
+
+/**
+ * Drop finished jobs older than JOB_RETENTION_MS
+ */
+async function pruneFinishedJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  const expired = (await store.list()).filter((job) =>
+    (job.status === 'completed' || job.status === 'failed') && Date.parse(job.completedAt) < cutoff
+  );
+
+  for (const job of expired) {
+    await store.remove(job.id);
+  }
+}
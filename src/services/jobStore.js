@@ -0,0 +1,93 @@
+// File: src/services/jobStore.js
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DEFAULT_JOB_STORE_DIR = path.resolve(__dirname, '../../data/jobs');
+
+/**
+ * Create the job store selected by JOB_STORE.
+ * Stores hold job records only; the credentials a job runs with never leave memory.
+ * @param {string} type - 'memory' (default) or 'file'
+ * @returns {Object} Job store ({ save, get, list, remove })
+ */
+exports.createJobStore = (type = process.env.JOB_STORE || 'memory') => {
+  if (type === 'file') {
+    return createFileJobStore(process.env.JOB_STORE_DIR || DEFAULT_JOB_STORE_DIR);
+  }
+
+  if (type !== 'memory') {
+    logger.warn(`Unknown JOB_STORE "${type}", using the in-memory job store`);
+  }
+
+  return createMemoryJobStore();
+};
+
+/**
+ * Jobs kept in a Map; they are lost when the process restarts
+ * @returns {Object} Job store
+ */
+function createMemoryJobStore() {
+  const jobs = new Map();
+
+  return {
+    save: async (job) => {
+      jobs.set(job.id, { ...job });
+    },
+    get: async (id) => (jobs.has(id) ? { ...jobs.get(id) } : undefined),
+    list: async () => [...jobs.values()].map((job) => ({ ...job })),
+    remove: async (id) => {
+      jobs.delete(id);
+    }
+  };
+}
+
+exports.createMemoryJobStore = createMemoryJobStore;
+
+/**
+ * Jobs kept as one JSON file each, so their status survives a restart
+ * @param {string} directory - Directory for the job files
+ * @returns {Object} Job store
+ */
+function createFileJobStore(directory) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const fileFor = (id) => path.join(directory, `${id}.json`);
+
+  return {
+    save: async (job) => {
+      // Write then rename, so a crash never leaves a half-written record
+      const file = fileFor(job.id);
+      await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(job, null, 2));
+      await fs.promises.rename(`${file}.tmp`, file);
+    },
+    get: async (id) => {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(id), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return undefined;
+        }
+        throw error;
+      }
+    },
+    list: async () => {
+      const files = (await fs.promises.readdir(directory)).filter((file) => file.endsWith('.json'));
+      const jobs = await Promise.all(files.map(async (file) => {
+        try {
+          return JSON.parse(await fs.promises.readFile(path.join(directory, file), 'utf8'));
+        } catch (error) {
+          logger.warn(`Ignoring unreadable job file ${file}: ${error.message}`);
+          return null;
+        }
+      }));
+      return jobs.filter(Boolean);
+    },
+    remove: async (id) => {
+      await fs.promises.rm(fileFor(id), { force: true });
+    }
+  };
+}
+
+exports.createFileJobStore = createFileJobStore;
@@ -0,0 +1,100 @@
+// File: src/services/themeService.js
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { CODE_THEMES } = require('../utils/syntaxHighlighter');
+
+// Directory holding one <name>.json file per theme
+const DEFAULT_THEMES_DIR = path.resolve(__dirname, '../../themes');
+
+// Top-level sections a theme file may define
+const THEME_SECTIONS = ['document', 'text', 'paragraph', 'headings', 'code', 'link'];
+
+const HEX_COLOR_REGEX = /^#[0-9a-f]{6}$/i;
+
+let themes = new Map();
+
+/**
+ * Load every theme file from a directory, replacing the themes loaded before.
+ * Invalid files are logged and skipped so one bad theme cannot stop the server.
+ * @param {string} directory - Themes directory (default: THEMES_DIR or ./themes)
+ * @returns {Array} Names of the loaded themes
+ */
+exports.loadThemes = (directory = process.env.THEMES_DIR || DEFAULT_THEMES_DIR) => {
+  const loaded = new Map();
+
+  if (!fs.existsSync(directory)) {
+    logger.warn(`Themes directory ${directory} not found, no themes loaded`);
+    themes = loaded;
+    return [];
+  }
+
+  for (const file of fs.readdirSync(directory).filter((name) => name.endsWith('.json')).sort()) {
+    const name = path.basename(file, '.json');
+
+    try {
+      const theme = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      validateTheme(theme);
+      loaded.set(name, theme);
+    } catch (error) {
+      logger.error(`Skipping theme ${file}: ${error.message}`);
+    }
+  }
+
+  themes = loaded;
+  logger.info(`Loaded ${loaded.size} theme(s) from ${directory}`, { themes: [...loaded.keys()] });
+
+  return [...loaded.keys()];
+};
+
+/**
+ * Get a loaded theme by name
+ * @param {string} name - Theme name (file name without .json)
+ * @returns {Object|undefined} Theme definition
+ */
+exports.getTheme = (name) => themes.get(name);
+
+/**
+ * Names of all loaded themes
+ * @returns {Array} Theme names
+ */
+exports.getThemeNames = () => [...themes.keys()];
+
+/**
+ * Check the shape of a theme definition; throws on the first problem
+ * @param {Object} theme - Parsed theme file
+ */
+function validateTheme(theme) {
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+    throw new Error('Theme must be a JSON object');
+  }
+
+  for (const [section, value] of Object.entries(theme)) {
+    if (section === 'description') {
+      continue;
+    }
+    if (!THEME_SECTIONS.includes(section)) {
+      throw new Error(`Unknown theme section "${section}"`);
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`Theme section "${section}" must be an object`);
+    }
+
+    for (const [key, setting] of Object.entries(value)) {
+      if (/color$/i.test(key) && !HEX_COLOR_REGEX.test(setting)) {
+        throw new Error(`${section}.${key} must be a #rrggbb color`);
+      }
+    }
+  }
+
+  const syntaxTheme = theme.code && theme.code.syntaxTheme;
+  if (syntaxTheme !== undefined && !CODE_THEMES[syntaxTheme]) {
+    throw new Error(`code.syntaxTheme must be one of: ${Object.keys(CODE_THEMES).join(', ')}`);
+  }
+
+  const sizes = theme.headings && theme.headings.sizes;
+  if (sizes !== undefined && (!Array.isArray(sizes) || sizes.some((size) => typeof size !== 'number'))) {
+    throw new Error('headings.sizes must be an array of point sizes for H1-H6');
+  }
+}
@@ -0,0 +1,169 @@
+// File: src/services/tokenStore.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DEFAULT_TOKEN_STORE_DIR = path.resolve(__dirname, '../../data/tokens');
+
+// Salt for deriving the AES key from TOKEN_ENCRYPTION_KEY; the secret itself must be long and random
+const KEY_DERIVATION_SALT = 'markdown-gdoc-token-store';
+
+let derivedKey = null;
+
+/**
+ * Whether Google credentials can be stored for API keys (needs TOKEN_ENCRYPTION_KEY)
+ * @returns {boolean}
+ */
+exports.isTokenStoreEnabled = () => Boolean(process.env.TOKEN_ENCRYPTION_KEY);
+
+/**
+ * Key stored credentials are filed under: a hash of the API key and the user name,
+ * so neither is written to disk
+ * @param {string} apiKey - API key of the caller
+ * @param {string} user - Optional user name, for several Google accounts per API key
+ * @returns {string} Hex store key
+ */
+exports.getStoreKey = (apiKey, user = '') => {
+  if (!apiKey) {
+    throw new Error('Stored credentials need an API key to be filed under');
+  }
+
+  return crypto.createHash('sha256').update(`${apiKey}\0${user}`).digest('hex');
+};
+
+/**
+ * Saves Google credentials, encrypted with AES-256-GCM
+ * @param {string} storeKey - Key from getStoreKey()
+ * @param {Object} credentials - { refresh_token, scope }
+ */
+exports.saveCredentials = async (storeKey, credentials) => {
+  try {
+    const directory = getDirectory();
+    const file = path.join(directory, `${storeKey}.json`);
+    const record = {
+      updatedAt: new Date().toISOString(),
+      ...encrypt(JSON.stringify(credentials))
+    };
+
+    // Write then rename, so a crash never leaves a half-written record
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(record, null, 2), { mode: 0o600 });
+    await fs.promises.rename(`${file}.tmp`, file);
+  } catch (error) {
+    logger.error(`Error saving stored credentials: ${error.message}`, { stack: error.stack });
+    throw error;
+  }
+};
+
+/**
+ * Reads stored Google credentials
+ * @param {string} storeKey - Key from getStoreKey()
+ * @returns {Promise<Object|undefined>} Decrypted credentials, or undefined when none are stored
+ */
+exports.getCredentials = async (storeKey) => {
+  let record;
+
+  try {
+    record = JSON.parse(await fs.promises.readFile(path.join(getDirectory(), `${storeKey}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return undefined;
+    }
+    logger.error(`Error reading stored credentials: ${error.message}`, { stack: error.stack });
+    throw error;
+  }
+
+  return JSON.parse(decrypt(record));
+};
+
+/**
+ * Deletes stored Google credentials
+ * @param {string} storeKey - Key from getStoreKey()
+ * @returns {Promise<boolean>} Whether credentials were stored
+ */
+exports.removeCredentials = async (storeKey) => {
+  const file = path.join(getDirectory(), `${storeKey}.json`);
+
+  try {
+    await fs.promises.unlink(file);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Encrypts a small value into a URL-safe string that any process sharing
+ * TOKEN_ENCRYPTION_KEY can read back, and no one else can read or alter
+ * @param {Object} data - JSON-serializable value
+ * @returns {string} Sealed value
+ */
+exports.sealData = (data) => {
+  const { iv, tag, data: sealed } = encrypt(JSON.stringify(data));
+  return [iv, tag, sealed].map((part) => Buffer.from(part, 'base64').toString('base64url')).join('.');
+};
+
+/**
+ * Reads a value sealed with sealData()
+ * @param {string} text - Sealed value
+ * @returns {Object|undefined} The value, or undefined when it was not sealed with this key
+ */
+exports.openSealedData = (text) => {
+  const parts = String(text || '').split('.');
+  if (parts.length !== 3) {
+    return undefined;
+  }
+
+  const [iv, tag, data] = parts.map((part) => Buffer.from(part, 'base64url').toString('base64'));
+  try {
+    return JSON.parse(decrypt({ iv, tag, data }));
+  } catch (error) {
+    return undefined;
+  }
+};
+
+function getDirectory() {
+  return process.env.TOKEN_STORE_DIR || DEFAULT_TOKEN_STORE_DIR;
+}
+
+function getKey() {
+  if (!exports.isTokenStoreEnabled()) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is not configured');
+  }
+
+  if (!derivedKey || derivedKey.secret !== process.env.TOKEN_ENCRYPTION_KEY) {
+    derivedKey = {
+      secret: process.env.TOKEN_ENCRYPTION_KEY,
+      key: crypto.scryptSync(process.env.TOKEN_ENCRYPTION_KEY, KEY_DERIVATION_SALT, 32)
+    };
+  }
+
+  return derivedKey.key;
+}
+
+function encrypt(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt(record) {
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(record.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(record.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error(`Stored credentials could not be decrypted (was TOKEN_ENCRYPTION_KEY changed?): ${error.message}`);
+  }
+}
@@ -0,0 +1,131 @@
+// File: src/services/webhookService.js
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const logger = require('../utils/logger');
+const { withRetry } = require('../utils/retry');
+const { isPublicHost, lookupPublicAddress } = require('../utils/addressFilter');
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+/**
+ * Sends a signed JSON POST to a callback URL, retrying 429/5xx responses and network errors.
+ * The X-Webhook-Signature header is "sha256=" + HMAC-SHA256 of "<timestamp>.<body>"
+ * keyed with WEBHOOK_SECRET, where timestamp is the X-Webhook-Timestamp header.
+ * @param {string} url - Callback URL
+ * @param {Object} payload - JSON payload
+ * @returns {Promise<number>} HTTP status of the delivery
+ */
+exports.sendWebhook = async (url, payload) => {
+  // Checked again at delivery, as jobs may outlive a change of WEBHOOK_ALLOWED_HOSTS
+  const problem = await exports.checkCallbackUrl(url);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Signature': `sha256=${exports.signPayload(`${timestamp}.${body}`)}`
+  };
+
+  const status = await withRetry(() => postJson(url, headers, body), {
+    description: `Webhook delivery to ${url}`,
+    maxRetries: 3
+  });
+
+  logger.info(`Delivered webhook to ${url} (${status})`);
+  return status;
+};
+
+/**
+ * Checks a callback URL: https on a public address, unless its host is listed in
+ * WEBHOOK_ALLOWED_HOSTS, which may also use http and internal addresses
+ * @param {string} url - Callback URL
+ * @returns {Promise<string|null>} Why the URL is refused, or null when it may be called
+ */
+exports.checkCallbackUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'Callback URL must be a valid URL';
+  }
+
+  if (isAllowedHost(parsed.hostname)) {
+    return ['http:', 'https:'].includes(parsed.protocol) ? null : 'Callback URL must be an http(s) URL';
+  }
+
+  if (parsed.protocol !== 'https:') {
+    return 'Callback URL must be an https URL';
+  }
+
+  if (!(await isPublicHost(parsed.hostname))) {
+    return 'Callback URL host must resolve to a public address (or be listed in WEBHOOK_ALLOWED_HOSTS)';
+  }
+
+  return null;
+};
+
+/**
+ * HMAC-SHA256 of a string keyed with WEBHOOK_SECRET
+ * @param {string} data - Signed content
+ * @returns {string} Hex digest
+ */
+exports.signPayload = (data) => crypto
+  .createHmac('sha256', process.env.WEBHOOK_SECRET || '')
+  .update(data)
+  .digest('hex');
+
+/**
+ * Hosts of WEBHOOK_ALLOWED_HOSTS (comma-separated), compared case-insensitively
+ */
+function isAllowedHost(hostname) {
+  const allowed = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+  return allowed.includes(hostname.toLowerCase());
+}
+
+/**
+ * POST a body; resolves with the status on 2xx, rejects with error.status otherwise.
+ * Hosts outside WEBHOOK_ALLOWED_HOSTS are only connected to on public addresses,
+ * so a name that resolves differently after validation is still refused.
+ */
+function postJson(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const options = { method: 'POST', headers, timeout: WEBHOOK_TIMEOUT_MS };
+    if (!isAllowedHost(new URL(url).hostname)) {
+      options.lookup = lookupPublicAddress;
+    }
+
+    const request = client.request(url, options, (response) => {
+      response.resume();
+
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        return resolve(response.statusCode);
+      }
+
+      const error = new Error(`Webhook endpoint answered ${response.statusCode}`);
+      error.status = response.statusCode;
+      error.response = { status: response.statusCode, headers: response.headers };
+      reject(error);
+    });
+
+    request.on('timeout', () => {
+      const error = new Error('Timed out');
+      error.code = 'ETIMEDOUT';
+      request.destroy(error);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
@@ -0,0 +1,94 @@
+// File: src/utils/addressFilter.js
+
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local, shared, multicast and reserved ranges: never fetched on a caller's behalf
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// IPv4 addresses written as IPv6 (::ffff:127.0.0.1) are checked as IPv4
+const IPV4_MAPPED_REGEX = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+/**
+ * Whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for loopback, private, link-local and other internal ranges
+ */
+function isPublicAddress(address) {
+  const mapped = IPV4_MAPPED_REGEX.exec(address);
+  if (mapped) {
+    return isPublicAddress(mapped[1]);
+  }
+
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+
+  return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+exports.isPublicAddress = isPublicAddress;
+
+/**
+ * Whether a host name or IP literal only resolves to public addresses
+ * @param {string} hostname - Host of a URL (IPv6 literals with or without brackets)
+ * @returns {Promise<boolean>} False when any address is internal or the name does not resolve
+ */
+exports.isPublicHost = async (hostname) => {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+
+  if (net.isIP(host)) {
+    return isPublicAddress(host);
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    return addresses.length > 0 && addresses.every(({ address }) => isPublicAddress(address));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * dns.lookup replacement for http(s).request that refuses internal addresses, so the
+ * address checked is the address connected to. IP literal hosts skip the lookup;
+ * check them with isPublicHost() first.
+ */
+exports.lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => !isPublicAddress(entry.address));
+    if (blocked) {
+      const refused = new Error(`${hostname} resolves to the internal address ${blocked.address}`);
+      refused.code = 'EADDRBLOCKED';
+      return callback(refused);
+    }
+
+    return callback(null, address, family);
+  });
+};
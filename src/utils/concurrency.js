@@ -0,0 +1,27 @@
+// File: src/utils/concurrency.js
+
+/**
+ * Map items through an async function with at most `limit` calls in flight.
+ * Results keep the order of the items; a rejected call rejects the whole map,
+ * so callers that need per-item outcomes should catch inside fn.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+exports.mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+
+  return results;
+};
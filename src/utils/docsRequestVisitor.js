@@ -0,0 +1,1028 @@
+// File: src/utils/docsRequestVisitor.js
+
+const logger = require('./logger');
+const { renderInline, IMAGE_PLACEHOLDER } = require('./inlineFormatter');
+const { CODE_THEMES, highlight, getTokenStyle, toOptionalColor } = require('./syntaxHighlighter');
+const { buildThemeStyles } = require('./themeStyles');
+
+// Indentation applied per blockquote / nested list level
+const QUOTE_INDENT_PT = 36;
+const LIST_INDENT_PT = 36;
+
+// Indentation per heading level below the top one in a table of contents
+const TOC_INDENT_PT = 18;
+
+// A paragraph holding only this marker is replaced by a table of contents
+const TOC_MARKER_REGEX = /^\[toc\]$/i;
+
+// Grey line left of blockquotes and under horizontal rules
+const RULE_COLOR = { color: { rgbColor: { red: 0.8, green: 0.8, blue: 0.8 } } };
+const QUOTE_BORDER = {
+  color: RULE_COLOR,
+  width: { magnitude: 3, unit: 'PT' },
+  padding: { magnitude: 12, unit: 'PT' },
+  dashStyle: 'SOLID'
+};
+const HR_BORDER = {
+  color: RULE_COLOR,
+  width: { magnitude: 1, unit: 'PT' },
+  padding: { magnitude: 1, unit: 'PT' },
+  dashStyle: 'SOLID'
+};
+
+// GitHub alert callouts: default title, accent color (title and left border) and shading
+const CALLOUT_STYLES = {
+  note: { title: 'Note', accent: '#0969DA', background: '#DDF4FF' },
+  tip: { title: 'Tip', accent: '#1A7F37', background: '#DAFBE1' },
+  important: { title: 'Important', accent: '#8250DF', background: '#FBEFFF' },
+  warning: { title: 'Warning', accent: '#9A6700', background: '#FFF8C5' },
+  caution: { title: 'Caution', accent: '#D1242F', background: '#FFEBE9' }
+};
+
+// Monospace font for fenced and indented code blocks unless the style theme sets one;
+// colors come from the code theme
+const CODE_FONT_FAMILY = 'Courier New';
+
+const BULLET_PRESET = 'BULLET_DISC_CIRCLE_SQUARE';
+const NUMBERED_PRESET = 'NUMBERED_DECIMAL_NESTED';
+const CHECKBOX_PRESET = 'BULLET_CHECKBOX';
+
+// GFM column alignment (:---, :---:, ---:) to Docs paragraph alignment
+const TABLE_ALIGNMENT = {
+  left: 'START',
+  center: 'CENTER',
+  right: 'END'
+};
+
+/**
+ * Create the state shared by all visitors while walking a document
+ * @param {Object} options - Conversion options
+ * @param {number} options.startIndex - Document index where content is inserted
+ * @param {Set} options.unavailableImages - Image URLs to render as placeholders
+ * @param {string} options.codeTheme - Code block color theme (default: the style theme's, or 'light')
+ * @param {string} options.codeLayout - 'paragraph' (default) or 'box' for a single-cell table
+ * @param {Object} options.theme - Style theme definition (fonts, colors, spacing)
+ * @param {Array} options.headings - Heading tokens of the document, in document order
+ * @param {Map} options.footnotes - Footnote definition tokens by label
+ * @param {string} options.thematicBreak - 'rule' (default) or 'pageBreak'
+ * @returns {Object} Conversion context
+ */
+exports.createContext = (options = {}) => {
+  const theme = buildThemeStyles(options.theme);
+  const codeTheme = CODE_THEMES[options.codeTheme || theme.syntaxTheme] || CODE_THEMES.light;
+  const requests = [];
+
+  if (Object.keys(theme.documentStyle).length > 0) {
+    requests.push({
+      updateDocumentStyle: {
+        documentStyle: theme.documentStyle,
+        fields: Object.keys(theme.documentStyle).join(',')
+      }
+    });
+  }
+
+  return {
+    requests,
+    index: options.startIndex || 1, // Defaults to 1 since the document body begins after the section break
+    quoteDepth: 0,
+    listDepth: 0,
+    unavailableImages: options.unavailableImages || new Set(),
+    theme,
+    codeTheme: theme.codeBackground ? { ...codeTheme, background: theme.codeBackground } : codeTheme,
+    codeLayout: options.codeLayout || 'paragraph',
+    thematicBreak: options.thematicBreak || 'rule',
+    inCallout: false,
+    headings: describeHeadings(options.headings || []),
+    footnoteTexts: describeFootnotes(options.footnotes || new Map()),
+    footnotes: [], // { index, label, text } of each footnote reference, filled in once Docs has created it
+    headingLinks: [], // Ranges to link to a heading once the document has heading IDs
+    linkRanges: new Map(), // Final range of #anchor link requests whose text moved when list tabs were removed
+    tasks: [] // GFM task list items, reported since the API cannot tick checkboxes
+  };
+};
+
+/**
+ * Plain text and GitHub-style anchor slug of each heading; duplicate slugs get -1, -2, ...
+ */
+function describeHeadings(tokens) {
+  const used = new Map();
+
+  return tokens.map((token) => {
+    const text = renderInline(token.tokens).text
+      .replace(new RegExp(IMAGE_PLACEHOLDER, 'g'), '')
+      .replace(/\u000b/g, ' ')
+      .trim();
+    const base = text.toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-');
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+
+    return {
+      token,
+      text,
+      level: token.depth,
+      slug: count === 0 ? base : `${base}-${count}`,
+      startIndex: null // Set when the heading is inserted
+    };
+  });
+}
+
+/**
+ * Plain text of each footnote definition by label; footnote text is inserted without styles
+ */
+function describeFootnotes(definitions) {
+  const texts = new Map();
+
+  for (const [label, token] of definitions) {
+    const text = renderInline(token.tokens).text
+      .replace(new RegExp(IMAGE_PLACEHOLDER, 'g'), '')
+      .replace(/\u000b/g, ' ');
+    texts.set(label, text);
+  }
+
+  return texts;
+}
+
+/**
+ * Insert a table of contents: one paragraph per heading, indented by level.
+ * The Docs API cannot insert a native table of contents, so each entry is linked
+ * to its heading once the document exists (see context.headingLinks).
+ * @param {Object} context - Conversion context
+ */
+function insertTableOfContents(context) {
+  const headings = context.headings.filter((heading) => heading.text);
+  if (headings.length === 0) {
+    return;
+  }
+
+  const topLevel = Math.min(...headings.map((heading) => heading.level));
+  const style = context.theme.textStyle;
+
+  for (const heading of headings) {
+    const indent = { magnitude: (heading.level - topLevel) * TOC_INDENT_PT, unit: 'PT' };
+    const spans = Object.keys(style).length > 0 ? [{ start: 0, end: heading.text.length, style }] : [];
+    const range = insertParagraph(context, { text: heading.text, spans }, { indentStart: indent, indentFirstLine: indent });
+
+    context.headingLinks.push({ startIndex: range.startIndex, endIndex: range.endIndex - 1, heading });
+  }
+}
+
+exports.insertTableOfContents = insertTableOfContents;
+
+/**
+ * Turn links to #anchors that name a heading into heading links, resolved once the
+ * document exists; anchors matching no heading lose their link instead of pointing nowhere
+ * @param {Object} context - Conversion context after all blocks were visited
+ * @returns {Array} Heading links ({ startIndex, endIndex, heading: { text, slug, startIndex } })
+ */
+exports.collectHeadingLinks = (context) => {
+  const links = context.headingLinks.map(describeHeadingLink);
+
+  context.requests = context.requests.filter((request) => {
+    const style = request.updateTextStyle && request.updateTextStyle.textStyle;
+    if (!style || !style.link || !style.link.url || !style.link.url.startsWith('#')) {
+      return true;
+    }
+
+    const anchor = safeDecode(style.link.url.slice(1)).toLowerCase();
+    const heading = context.headings.find((candidate) => candidate.slug === anchor);
+
+    if (heading && heading.startIndex !== null) {
+      const range = context.linkRanges.get(request) || request.updateTextStyle.range;
+      links.push(describeHeadingLink({ ...range, heading }));
+    } else {
+      logger.warn(`Link to "${style.link.url}" matches no heading, keeping its text only`);
+    }
+
+    const { link, ...rest } = style;
+    request.updateTextStyle.textStyle = rest;
+    request.updateTextStyle.fields = Object.keys(rest).join(',');
+    return request.updateTextStyle.fields.length > 0;
+  });
+
+  return links;
+};
+
+function describeHeadingLink({ startIndex, endIndex, heading }) {
+  return {
+    startIndex,
+    endIndex,
+    heading: { text: heading.text, slug: heading.slug, startIndex: heading.startIndex }
+  };
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Block token visitors, keyed by marked token type
+ */
+const blockVisitors = {
+  space: visitSpace,
+  heading: visitHeading,
+  paragraph: visitParagraph,
+  text: visitParagraph,
+  code: visitCode,
+  list: visitList,
+  blockquote: visitBlockquote,
+  callout: visitCallout,
+  table: visitTable,
+  hr: visitHr,
+  html: visitHtml,
+  def: () => {}, // Link reference definitions are resolved by the lexer
+  footnote: () => {} // Footnote definitions are collected up front and inserted as footnotes
+};
+
+/**
+ * Visit a list of block tokens in document order
+ * @param {Array} tokens - Block-level tokens
+ * @param {Object} context - Conversion context
+ */
+function visitBlocks(tokens, context) {
+  for (const token of tokens) {
+    visitBlock(token, context);
+  }
+}
+
+exports.visitBlocks = visitBlocks;
+
+/**
+ * Dispatch a single block token to its visitor
+ * @param {Object} token - Block-level token
+ * @param {Object} context - Conversion context
+ */
+function visitBlock(token, context) {
+  const visitor = blockVisitors[token.type];
+
+  if (!visitor) {
+    logger.warn(`Unsupported markdown block "${token.type}", inserting as plain text`);
+    insertParagraph(context, { text: (token.raw || '').trim(), spans: [] });
+    return;
+  }
+
+  visitor(token, context);
+}
+
+/**
+ * Blank lines between blocks become empty paragraphs
+ */
+function visitSpace(token, context) {
+  if (context.listDepth > 0) {
+    return;
+  }
+
+  insertParagraph(context, { text: '', spans: [] });
+}
+
+/**
+ * ATX (# Heading) and setext (Heading\n===) headings
+ */
+function visitHeading(token, context) {
+  const headingStyle = context.theme.headingStyles[token.depth - 1];
+  const range = insertParagraph(context, render(context, token.tokens, headingStyle.textStyle), headingStyle.paragraphStyle);
+
+  const heading = context.headings.find((candidate) => candidate.token === token);
+  if (heading) {
+    heading.startIndex = range.startIndex;
+  }
+}
+
+/**
+ * Paragraphs, including lazy continuation lines; a [TOC] paragraph becomes a table of contents
+ */
+function visitParagraph(token, context) {
+  if (TOC_MARKER_REGEX.test((token.text || '').trim()) && context.listDepth === 0) {
+    insertTableOfContents(context);
+    return;
+  }
+
+  const tokens = token.tokens || [{ type: 'text', text: token.text }];
+  insertParagraph(context, render(context, tokens));
+}
+
+/**
+ * Fenced and indented code blocks, one Docs paragraph per source line,
+ * highlighted by the fence's language tag
+ */
+function visitCode(token, context) {
+  if (context.codeLayout === 'box') {
+    visitCodeBox(token, context);
+    return;
+  }
+
+  const startIndex = context.index;
+  const text = token.text;
+
+  insertParagraph(context, { text, spans: [] }, context.theme.codeParagraphStyle);
+  styleCode(context, startIndex, text, token.lang, { background: true });
+}
+
+/**
+ * Code block inside a single-cell table shaded with the theme background.
+ * The cell's paragraph sits after the table's newline and table, row and cell markers.
+ */
+function visitCodeBox(token, context) {
+  const tableIndex = context.index;
+  const cellIndex = tableIndex + 4;
+  const text = token.text;
+
+  context.requests.push({
+    insertTable: {
+      rows: 1,
+      columns: 1,
+      location: { index: tableIndex }
+    }
+  });
+
+  pushInsertText(context, cellIndex, text);
+  styleCode(context, cellIndex, text, token.lang, { background: false });
+  pushBoxStyle(context, tableIndex, { backgroundColor: toOptionalColor(context.codeTheme.background) });
+
+  context.index = cellIndex + text.length + 1;
+}
+
+/**
+ * Style the only cell of a single-cell table
+ * @param {Object} context - Conversion context
+ * @param {number} tableIndex - Index the table was inserted at
+ * @param {Object} tableCellStyle - Docs table cell style
+ */
+function pushBoxStyle(context, tableIndex, tableCellStyle) {
+  context.requests.push({
+    updateTableCellStyle: {
+      tableCellStyle,
+      fields: Object.keys(tableCellStyle).join(','),
+      tableRange: {
+        tableCellLocation: {
+          tableStartLocation: { index: tableIndex + 1 },
+          rowIndex: 0,
+          columnIndex: 0
+        },
+        rowSpan: 1,
+        columnSpan: 1
+      }
+    }
+  });
+}
+
+/**
+ * Style inserted code: monospace font and theme background over the whole block,
+ * then one foreground color per highlighted token. Text between tokens only gets
+ * a color when the theme has a foreground, so no two requests style the same range.
+ * @param {Object} context - Conversion context
+ * @param {number} startIndex - Document index of the first character of code
+ * @param {string} code - Code as inserted
+ * @param {string} language - Fence language tag
+ * @param {Object} options - { background, toIndex } where toIndex maps a code offset
+ *   to a document index when the inserted text differs from the code (default: startIndex + offset)
+ */
+function styleCode(context, startIndex, code, language, options) {
+  if (code.length === 0) {
+    return;
+  }
+
+  const theme = context.codeTheme;
+  const toIndex = options.toIndex || ((offset) => startIndex + offset);
+  const baseStyle = { weightedFontFamily: { fontFamily: CODE_FONT_FAMILY }, ...context.theme.codeTextStyle };
+
+  if (options.background) {
+    baseStyle.backgroundColor = toOptionalColor(theme.background);
+  }
+
+  pushTextStyle(context, toIndex(0), toIndex(code.length), baseStyle);
+
+  const foreground = theme.foreground ? { foregroundColor: toOptionalColor(theme.foreground) } : null;
+  let offset = 0;
+
+  for (const token of highlight(code, language)) {
+    const style = getTokenStyle(theme, token.type);
+    if (!style) {
+      continue;
+    }
+
+    if (foreground && token.start > offset) {
+      pushTextStyle(context, toIndex(offset), toIndex(token.start), foreground);
+    }
+    pushTextStyle(context, toIndex(token.start), toIndex(token.end), style);
+    offset = token.end;
+  }
+
+  if (foreground && offset < code.length) {
+    pushTextStyle(context, toIndex(offset), toIndex(code.length), foreground);
+  }
+}
+
+/**
+ * Lists. Every paragraph of a list tree is inserted with one leading tab per
+ * nesting level, then a single createParagraphBullets call turns the whole range
+ * into one Docs list: Docs reads the tabs as nesting levels and removes them.
+ * Ordered lists starting above 1 are numbered as text, since the Docs API has
+ * no way to set a list's start number.
+ */
+function visitList(token, context) {
+  const list = {
+    preset: getListPreset(token, token.items.length > 0 && token.items.every((item) => item.task)),
+    literal: token.ordered && Number(token.start) > 1,
+    entries: []
+  };
+
+  context.listDepth += 1;
+  visitListItems(token, 0, list, context);
+  context.listDepth -= 1;
+
+  flushList(list, context);
+}
+
+/**
+ * Insert the paragraphs of a list's items at the given nesting level
+ */
+function visitListItems(token, level, list, context) {
+  const start = Number(token.start) || 1;
+
+  token.items.forEach((item, i) => {
+    const entry = {
+      level,
+      preset: getListPreset(token, item.task),
+      marker: token.ordered ? `${start + i}.` : '•',
+      task: item.task,
+      checked: item.checked
+    };
+
+    if (item.task) {
+      entry.marker = item.checked ? '☑' : '☐';
+    }
+    const children = item.tokens.filter((child) => child.type !== 'space');
+
+    // Every item needs a first paragraph to carry its bullet
+    if (children.length === 0 || (children[0].type !== 'text' && children[0].type !== 'paragraph')) {
+      insertListParagraph(context, list, { text: '', spans: [] }, { ...entry, kind: 'item' });
+    }
+
+    children.forEach((child, childIndex) => {
+      const kind = childIndex === 0 ? 'item' : 'continuation';
+
+      if (child.type === 'text' || child.type === 'paragraph') {
+        const tokens = child.tokens || [{ type: 'text', text: child.text }];
+        const run = render(context, tokens);
+
+        if (kind === 'item' && item.task) {
+          recordTask(context, run, entry);
+        }
+
+        insertListParagraph(context, list, run, { ...entry, kind });
+      } else if (child.type === 'list') {
+        visitListItems(child, level + 1, list, context);
+      } else if (child.type === 'code') {
+        insertListCode(context, list, child, { ...entry, kind: 'continuation' });
+      } else {
+        // Tables, quotes and other blocks cannot sit inside a bulleted range
+        flushList(list, context);
+        visitBlock(child, context);
+      }
+    });
+  });
+}
+
+/**
+ * Bullet preset for a list's items
+ */
+function getListPreset(token, task) {
+  if (task) {
+    return CHECKBOX_PRESET;
+  }
+
+  return token.ordered ? NUMBERED_PRESET : BULLET_PRESET;
+}
+
+/**
+ * Record a task list item; checked items are struck through, as Docs shows them
+ */
+function recordTask(context, run, entry) {
+  context.tasks.push({
+    text: run.text,
+    checked: entry.checked,
+    level: entry.level
+  });
+
+  if (entry.checked && run.text.length > 0) {
+    run.spans.push({ start: 0, end: run.text.length, style: { strikethrough: true } });
+  }
+}
+
+/**
+ * Insert one list paragraph, prefixed with its nesting tabs (or its literal marker)
+ */
+function insertListParagraph(context, list, run, entry) {
+  let prefix = '\t'.repeat(entry.level);
+  if (list.literal) {
+    prefix = entry.kind === 'item' ? `${entry.marker}\t` : '';
+  }
+
+  const range = insertParagraph(context, prefixRun(run, prefix));
+
+  list.entries.push({
+    ...entry,
+    startIndex: range.startIndex,
+    length: range.endIndex - range.startIndex,
+    tabs: list.literal ? 0 : prefix.length
+  });
+}
+
+/**
+ * Insert a code block inside a list item; each line is a paragraph of the list.
+ * Leading tabs in the code become spaces so Docs does not read them as nesting.
+ */
+function insertListCode(context, list, token, entry) {
+  const tabs = list.literal ? '' : '\t'.repeat(entry.level);
+  const lines = token.text.split('\n').map((line) =>
+    tabs + line.replace(/^\t+/, (leading) => '    '.repeat(leading.length))
+  );
+  const startIndex = context.index;
+
+  insertParagraph(context, { text: lines.join('\n'), spans: [] }, context.theme.codeParagraphStyle);
+
+  let lineStart = startIndex;
+  for (const line of lines) {
+    list.entries.push({ ...entry, startIndex: lineStart, length: line.length + 1, tabs: tabs.length });
+    lineStart += line.length + 1;
+  }
+
+  // Highlight the code without the nesting tabs, then map offsets past them
+  const code = lines.map((line) => line.slice(tabs.length)).join('\n');
+  const toIndex = (offset) => {
+    const line = code.slice(0, offset).split('\n').length - 1;
+    return startIndex + offset + tabs.length * (line + 1);
+  };
+
+  styleCode(context, startIndex, code, token.lang, { background: true, toIndex });
+}
+
+/**
+ * Bullet the paragraphs inserted for a list so far and fix up their indexes
+ */
+function flushList(list, context) {
+  const entries = list.entries;
+  list.entries = [];
+
+  if (entries.length === 0) {
+    return;
+  }
+
+  if (list.literal) {
+    for (const entry of entries) {
+      const range = { startIndex: entry.startIndex, endIndex: entry.startIndex + entry.length };
+      pushParagraphStyle(context, range, listIndentStyle(entry));
+    }
+    return;
+  }
+
+  const last = entries[entries.length - 1];
+  context.requests.push({
+    createParagraphBullets: {
+      range: {
+        startIndex: entries[0].startIndex,
+        endIndex: last.startIndex + last.length
+      },
+      bulletPreset: list.preset
+    }
+  });
+
+  // Positions once Docs has removed the nesting tabs
+  let removed = 0;
+  for (const entry of entries) {
+    entry.range = {
+      startIndex: entry.startIndex - removed,
+      endIndex: entry.startIndex - removed + entry.length - entry.tabs
+    };
+    removed += entry.tabs;
+  }
+  context.index -= removed;
+  shiftAnchorLinks(context, entries);
+
+  // Nested lists of another type (ordered inside unordered, ...) get their own preset;
+  // bulleting them again resets their nesting level, so their indent is set explicitly
+  for (const group of groupConsecutive(entries, (entry) => entry.preset !== list.preset)) {
+    context.requests.push({
+      createParagraphBullets: {
+        range: {
+          startIndex: group[0].range.startIndex,
+          endIndex: group[group.length - 1].range.endIndex
+        },
+        bulletPreset: group[0].preset
+      }
+    });
+
+    for (const entry of group.filter((candidate) => candidate.kind === 'item')) {
+      pushParagraphStyle(context, entry.range, listIndentStyle(entry));
+    }
+  }
+
+  // Additional paragraphs of an item are indented with its text, without a bullet
+  for (const entry of entries.filter((candidate) => candidate.kind !== 'item')) {
+    context.requests.push({
+      deleteParagraphBullets: {
+        range: entry.range
+      }
+    });
+    pushParagraphStyle(context, entry.range, listIndentStyle(entry));
+  }
+}
+
+/**
+ * Heading links are applied after the whole batch, so #anchor links inside list items
+ * need the positions their text has once the nesting tabs are gone
+ */
+function shiftAnchorLinks(context, entries) {
+  const listStart = entries[0].startIndex;
+  const listEnd = entries[entries.length - 1].startIndex + entries[entries.length - 1].length;
+
+  for (const request of context.requests) {
+    const style = request.updateTextStyle && request.updateTextStyle.textStyle;
+    if (!style || !style.link || !style.link.url || !style.link.url.startsWith('#')) {
+      continue;
+    }
+
+    const { startIndex, endIndex } = request.updateTextStyle.range;
+    if (startIndex < listStart || startIndex >= listEnd) {
+      continue;
+    }
+
+    // Tabs of the link's own paragraph and of every paragraph before it
+    const removed = entries
+      .filter((entry) => entry.startIndex <= startIndex)
+      .reduce((total, entry) => total + entry.tabs, 0);
+    context.linkRanges.set(request, { startIndex: startIndex - removed, endIndex: endIndex - removed });
+  }
+}
+
+/**
+ * Split entries into runs of consecutive entries matching the predicate
+ */
+function groupConsecutive(entries, predicate) {
+  const groups = [];
+  let current = null;
+
+  for (const entry of entries) {
+    if (!predicate(entry)) {
+      current = null;
+      continue;
+    }
+
+    if (!current || current[0].preset !== entry.preset) {
+      current = [];
+      groups.push(current);
+    }
+    current.push(entry);
+  }
+
+  return groups;
+}
+
+/**
+ * Blockquotes indent their content behind a grey left border; nested quotes are indented further
+ */
+function visitBlockquote(token, context) {
+  context.quoteDepth += 1;
+  visitBlocks(token.tokens, context);
+  context.quoteDepth -= 1;
+}
+
+/**
+ * GitHub alerts (> [!NOTE], [!TIP], [!IMPORTANT], [!WARNING], [!CAUTION]) become a shaded
+ * single-cell box with a colored title. The content's last paragraph takes the cell's own
+ * paragraph; when the content ends with another block, that paragraph stays empty below it.
+ */
+function visitCallout(token, context) {
+  const style = CALLOUT_STYLES[token.kind];
+  const accent = toOptionalColor(style.accent);
+  const tableIndex = context.index;
+  const blocks = token.tokens.filter((child) => child.type !== 'space');
+  const last = blocks[blocks.length - 1];
+  const endsWithParagraph = !last || last.type === 'paragraph';
+
+  context.requests.push({
+    insertTable: {
+      rows: 1,
+      columns: 1,
+      location: { index: tableIndex }
+    }
+  });
+
+  const saved = { index: tableIndex, quoteDepth: context.quoteDepth, codeLayout: context.codeLayout, inCallout: context.inCallout };
+  Object.assign(context, { index: tableIndex + 4, quoteDepth: 0, codeLayout: 'paragraph', inCallout: true });
+
+  const title = token.title || style.title;
+  insertParagraph(context, {
+    text: title,
+    spans: [{ start: 0, end: title.length, style: { ...context.theme.textStyle, bold: true, foregroundColor: accent } }]
+  }, {}, { newline: blocks.length > 0 });
+
+  if (blocks.length > 0) {
+    visitBlocks(endsWithParagraph ? blocks.slice(0, -1) : blocks, context);
+
+    if (endsWithParagraph) {
+      insertParagraph(context, render(context, last.tokens || [{ type: 'text', text: last.text }]), {}, { newline: false });
+    } else {
+      context.index += 1; // Past the cell's own empty paragraph
+    }
+  }
+
+  const side = { color: toOptionalColor(style.background), width: { magnitude: 1, unit: 'PT' }, dashStyle: 'SOLID' };
+  pushBoxStyle(context, tableIndex, {
+    backgroundColor: toOptionalColor(style.background),
+    borderLeft: { color: accent, width: { magnitude: 3, unit: 'PT' }, dashStyle: 'SOLID' },
+    borderTop: side,
+    borderRight: side,
+    borderBottom: side
+  });
+
+  Object.assign(context, { quoteDepth: saved.quoteDepth, codeLayout: saved.codeLayout, inCallout: saved.inCallout });
+}
+
+/**
+ * GFM pipe tables become native Docs tables.
+ * insertTable adds a newline, then the table: one marker for the table, one per row,
+ * and per cell a marker followed by an empty paragraph. Cells are filled in reading
+ * order, so each index accounts for the text already inserted before it.
+ */
+function visitTable(token, context) {
+  const rows = [token.header, ...token.rows];
+  const columns = token.header.length;
+  const tableIndex = context.index;
+
+  context.requests.push({
+    insertTable: {
+      rows: rows.length,
+      columns,
+      location: { index: tableIndex }
+    }
+  });
+
+  // Skip the newline inserted before the table and the table start marker
+  let cursor = tableIndex + 2;
+
+  rows.forEach((cells, rowIndex) => {
+    cursor += 1; // Row start marker
+
+    for (let column = 0; column < columns; column++) {
+      cursor += 1; // Cell start marker
+
+      const cell = cells[column];
+      const run = cell
+        ? render(context, cell.tokens, rowIndex === 0 ? { ...context.theme.textStyle, bold: true } : undefined)
+        : { text: '', spans: [], images: [] };
+
+      insertCellContent(context, cursor, run, TABLE_ALIGNMENT[token.align[column]]);
+      cursor += run.text.length + 1; // Cell text plus the cell's own newline
+    }
+  });
+
+  context.requests.push({
+    pinTableHeaderRows: {
+      tableStartLocation: { index: tableIndex + 1 },
+      pinnedHeaderRowsCount: 1
+    }
+  });
+
+  context.index = cursor;
+}
+
+/**
+ * Fill an empty table cell paragraph with rendered inline content
+ * @param {Object} context - Conversion context
+ * @param {number} startIndex - Index of the cell's empty paragraph
+ * @param {Object} run - Rendered inline content ({ text, spans })
+ * @param {string} alignment - Docs paragraph alignment, if not the default
+ */
+function insertCellContent(context, startIndex, run, alignment) {
+  insertRunContent(context, startIndex, run.text, run);
+
+  if (alignment) {
+    pushParagraphStyle(context, {
+      startIndex,
+      endIndex: startIndex + run.text.length + 1
+    }, { alignment });
+  }
+
+  for (const span of run.spans) {
+    pushTextStyle(context, startIndex + span.start, startIndex + span.end, span.style);
+  }
+}
+
+/**
+ * Thematic breaks (---, ***, ___) become an empty paragraph with a bottom border,
+ * or a page break when the thematicBreak option asks for one (not possible in tables)
+ */
+function visitHr(token, context) {
+  if (context.thematicBreak === 'pageBreak' && !context.inCallout) {
+    // A page break is inserted followed by a newline: it forms a paragraph of its own
+    context.requests.push({
+      insertPageBreak: {
+        location: { index: context.index }
+      }
+    });
+    context.index += 2;
+    return;
+  }
+
+  insertParagraph(context, { text: '', spans: [] }, { borderBottom: HR_BORDER });
+}
+
+/**
+ * Raw HTML blocks keep their text content only
+ */
+function visitHtml(token, context) {
+  const text = token.text.replace(/<[^>]*>/g, '').trim();
+
+  if (text) {
+    insertParagraph(context, { text, spans: [] });
+  }
+}
+
+/**
+ * Insert a paragraph of text and its styles at the current index
+ * @param {Object} context - Conversion context
+ * @param {Object} run - Rendered inline content ({ text, spans })
+ * @param {Object} paragraphStyle - Extra Docs paragraph style fields
+ * @param {Object} options - { newline: false } to end the text with the paragraph already at the index
+ * @returns {Object} Range covering the paragraph, including its newline
+ */
+function insertParagraph(context, run, paragraphStyle = {}, { newline = true } = {}) {
+  const startIndex = context.index;
+  const text = newline ? run.text + '\n' : run.text;
+
+  insertRunContent(context, startIndex, text, run);
+  context.index += run.text.length + 1;
+
+  const range = {
+    startIndex,
+    endIndex: context.index
+  };
+
+  const style = { ...context.theme.paragraphStyle, ...quoteIndentStyle(context.quoteDepth), ...paragraphStyle };
+  if (Object.keys(style).length > 0) {
+    pushParagraphStyle(context, range, style);
+  }
+
+  for (const span of run.spans) {
+    pushTextStyle(context, startIndex + span.start, startIndex + span.end, span.style);
+  }
+
+  return range;
+}
+
+/**
+ * Insert rendered text at an index, replacing each placeholder with its image or footnote.
+ * Text is inserted in segments so every object lands on the index its placeholder had.
+ * @param {Object} context - Conversion context
+ * @param {number} startIndex - Document index of the first character
+ * @param {string} text - Rendered text, possibly containing placeholders
+ * @param {Object} run - Rendered run listing its images and footnotes
+ */
+function insertRunContent(context, startIndex, text, { images = [], footnotes = [] } = {}) {
+  const objects = [...images, ...footnotes].sort((a, b) => a.offset - b.offset);
+  let offset = 0;
+
+  for (const object of objects) {
+    pushInsertText(context, startIndex + offset, text.slice(offset, object.offset));
+
+    if (object.label !== undefined) {
+      const index = startIndex + object.offset;
+      context.requests.push({ createFootnote: { location: { index } } });
+      context.footnotes.push({ index, label: object.label, text: context.footnoteTexts.get(object.label) });
+    } else {
+      context.requests.push({ insertInlineImage: buildInlineImage(object, startIndex + object.offset) });
+    }
+    offset = object.offset + IMAGE_PLACEHOLDER.length;
+  }
+
+  pushInsertText(context, startIndex + offset, text.slice(offset));
+}
+
+function pushInsertText(context, index, text) {
+  if (text.length === 0) {
+    return;
+  }
+
+  context.requests.push({
+    insertText: {
+      text,
+      location: { index }
+    }
+  });
+}
+
+/**
+ * Build an insertInlineImage request body; sizes are optional and in points.
+ * The Docs API has no field for alt text on insert, so alt only feeds placeholders.
+ */
+function buildInlineImage(image, index) {
+  const request = {
+    uri: image.uri,
+    location: { index }
+  };
+
+  if (image.width || image.height) {
+    request.objectSize = {};
+    if (image.width) {
+      request.objectSize.width = { magnitude: image.width, unit: 'PT' };
+    }
+    if (image.height) {
+      request.objectSize.height = { magnitude: image.height, unit: 'PT' };
+    }
+  }
+
+  return request;
+}
+
+/**
+ * Push an updateParagraphStyle request for a range of paragraphs
+ */
+function pushParagraphStyle(context, range, paragraphStyle) {
+  context.requests.push({
+    updateParagraphStyle: {
+      paragraphStyle,
+      range,
+      fields: Object.keys(paragraphStyle).join(',')
+    }
+  });
+}
+
+/**
+ * Push an updateTextStyle request for a range of inserted text
+ */
+function pushTextStyle(context, startIndex, endIndex, textStyle) {
+  context.requests.push({
+    updateTextStyle: {
+      textStyle,
+      range: {
+        startIndex,
+        endIndex
+      },
+      fields: Object.keys(textStyle).join(',')
+    }
+  });
+}
+
+/**
+ * Render inline tokens with the context's conversion options; text takes the
+ * theme's body style unless a base style is given
+ */
+function render(context, tokens, baseStyle = context.theme.textStyle) {
+  return renderInline(tokens, {
+    baseStyle,
+    unavailableImages: context.unavailableImages,
+    codeStyle: context.theme.codeSpanStyle,
+    linkStyle: context.theme.linkStyle,
+    footnotes: context.footnoteTexts
+  });
+}
+
+/**
+ * Paragraph indentation and left border for the given blockquote depth
+ */
+function quoteIndentStyle(depth) {
+  if (depth === 0) {
+    return {};
+  }
+
+  return {
+    indentStart: { magnitude: depth * QUOTE_INDENT_PT, unit: 'PT' },
+    indentFirstLine: { magnitude: depth * QUOTE_INDENT_PT, unit: 'PT' },
+    borderLeft: QUOTE_BORDER
+  };
+}
+
+/**
+ * Indentation matching Docs' own bullet levels: items hang their bullet at
+ * 18pt + 36pt per level, text and continuation paragraphs start at 36pt per level
+ */
+function listIndentStyle(entry) {
+  const textIndent = (entry.level + 1) * LIST_INDENT_PT;
+  const firstLine = entry.kind === 'item' ? textIndent - LIST_INDENT_PT / 2 : textIndent;
+
+  return {
+    indentStart: { magnitude: textIndent, unit: 'PT' },
+    indentFirstLine: { magnitude: firstLine, unit: 'PT' }
+  };
+}
+
+/**
+ * Prepend plain text to a rendered run, shifting its spans and images
+ */
+function prefixRun(run, prefix) {
+  if (!prefix) {
+    return run;
+  }
+
+  return {
+    text: prefix + run.text,
+    spans: run.spans.map((span) => ({ ...span, start: span.start + prefix.length, end: span.end + prefix.length })),
+    images: (run.images || []).map((image) => ({ ...image, offset: image.offset + prefix.length })),
+    footnotes: (run.footnotes || []).map((footnote) => ({ ...footnote, offset: footnote.offset + prefix.length }))
+  };
+}
@@ -0,0 +1,621 @@
+// File: src/utils/documentSimulator.js
+
+const logger = require('./logger');
+
+// An inline image occupies one index; the model shows it as the object replacement character
+const IMAGE_CHAR = '\uFFFC';
+
+// A footnote reference also occupies one index; its text lives in a separate segment
+const FOOTNOTE_CHAR = '\u2020';
+
+// A new document's body: the section break (index 0) and one empty paragraph (index 1)
+const EMPTY_BODY_END_INDEX = 2;
+
+/**
+ * Create a local model of a document body.
+ * Every index of the body is one unit: a character of text (paragraphs end with '\n')
+ * or a structural marker (section break, table / row / cell start). Paragraph style and
+ * bullets live on the newline that ends the paragraph, like in the Docs API.
+ * @param {number} endIndex - Body end index of the existing document (default: new doc)
+ * @returns {Object} Document model
+ */
+function createDocumentModel(endIndex = EMPTY_BODY_END_INDEX) {
+  const units = [{ type: 'sectionBreak' }];
+
+  // Existing content is unknown; model it as a single plain paragraph of the right length
+  for (let i = 1; i < endIndex - 1; i++) {
+    units.push(createTextUnit('x', null));
+  }
+  units.push(createNewlineUnit(null, {}, null));
+
+  return {
+    units,
+    documentStyle: {},
+    nextTableId: 1
+  };
+}
+
+exports.createDocumentModel = createDocumentModel;
+
+/**
+ * Apply a batch of requests to a document model, checking every request first.
+ * Invalid requests are reported and skipped; with autoCorrect, ranges are clamped
+ * to the document and empty ranges are dropped instead of being reported as errors.
+ * @param {Array} requests - Google Docs API requests
+ * @param {Object} options - Simulation options
+ * @param {number} options.endIndex - Body end index before the batch runs
+ * @param {boolean} options.autoCorrect - Repair correctable requests
+ * @returns {Object} { model, requests, issues } where requests is the corrected batch
+ */
+exports.simulateRequests = (requests, options = {}) => {
+  const model = createDocumentModel(options.endIndex);
+  const issues = [];
+  const corrected = [];
+
+  requests.forEach((request, requestIndex) => {
+    const type = Object.keys(request)[0];
+    const handler = requestHandlers[type];
+
+    if (!handler) {
+      issues.push(createIssue(requestIndex, 'warning', 'unsupported_request', `Request type "${type}" is not simulated`));
+      corrected.push(request);
+      return;
+    }
+
+    const report = (severity, issueType, message) => {
+      issues.push(createIssue(requestIndex, severity, issueType, message));
+    };
+
+    let body = request[type];
+    const problem = handler.check(model, body);
+
+    if (problem) {
+      const repaired = options.autoCorrect && problem.correctable ? correctRange(model, body, problem) : null;
+
+      if (repaired === undefined) {
+        report('warning', problem.type, `${problem.message}; request dropped`);
+        return;
+      }
+
+      if (!repaired) {
+        report('error', problem.type, problem.message);
+        return;
+      }
+
+      report('warning', problem.type, `${problem.message}; range corrected to ${repaired.range.startIndex}-${repaired.range.endIndex}`);
+      body = repaired;
+    }
+
+    handler.apply(model, body, requestIndex, report);
+    corrected.push({ [type]: body });
+  });
+
+  return { model, requests: corrected, issues };
+};
+
+/**
+ * Body end index of the model (the index just past the final newline)
+ * @param {Object} model - Document model
+ * @returns {number} End index
+ */
+exports.getEndIndex = (model) => model.units.length;
+
+/**
+ * Serialize the model into a stable structure for golden files and previews
+ * @param {Object} model - Document model
+ * @returns {Array} Body elements: { paragraph } or { table }
+ */
+exports.snapshotDocument = (model) => {
+  const elements = [];
+  let i = 1;
+
+  while (i < model.units.length) {
+    const unit = model.units[i];
+
+    if (unit.type === 'tableStart') {
+      const end = getTableEnd(model, i);
+      elements.push({ table: snapshotTable(model, i, end) });
+      i = end;
+      continue;
+    }
+
+    const end = getParagraphEnd(model, i) + 1;
+    elements.push({ paragraph: snapshotParagraph(model.units.slice(i, end)) });
+    i = end;
+  }
+
+  return elements;
+};
+
+/**
+ * Request handlers, keyed by Docs API request type.
+ * check() returns a problem ({ type, message, correctable }) or null, apply() mutates the model.
+ */
+const requestHandlers = {
+  insertText: {
+    check: (model, request) => checkLocation(model, request.location),
+    apply: (model, request) => insertText(model, request.location.index, request.text)
+  },
+
+  insertInlineImage: {
+    check: (model, request) => {
+      if (!request.uri || !/^https?:\/\//i.test(request.uri) || request.uri.length > 2048) {
+        return { type: 'invalid_image', message: `Image URI "${request.uri}" must be an http(s) URL under 2 kB` };
+      }
+      return checkLocation(model, request.location);
+    },
+    apply: (model, request) => {
+      insertText(model, request.location.index, IMAGE_CHAR);
+      model.units[request.location.index].image = {
+        uri: request.uri,
+        ...(request.objectSize ? { objectSize: request.objectSize } : {})
+      };
+    }
+  },
+
+  insertPageBreak: {
+    check: (model, request) => {
+      const problem = checkLocation(model, request.location);
+      if (problem) {
+        return problem;
+      }
+      if (model.units[request.location.index].cell) {
+        return { type: 'invalid_location', message: `Page breaks cannot be inserted in a table (index ${request.location.index})` };
+      }
+      return null;
+    },
+    apply: (model, request) => insertText(model, request.location.index, '\f\n')
+  },
+
+  createFootnote: {
+    check: (model, request) => checkLocation(model, request.location),
+    apply: (model, request) => {
+      insertText(model, request.location.index, FOOTNOTE_CHAR);
+      model.units[request.location.index].footnote = true;
+    }
+  },
+
+  insertTable: {
+    check: (model, request) => {
+      if (!(request.rows > 0) || !(request.columns > 0)) {
+        return { type: 'invalid_table', message: `Table must have at least one row and column (${request.rows}x${request.columns})` };
+      }
+      return checkLocation(model, request.location);
+    },
+    apply: (model, request) => insertTable(model, request.location.index, request.rows, request.columns)
+  },
+
+  deleteContentRange: {
+    check: (model, request) => checkRange(model, request.range, 'deleteContentRange', { excludeFinalNewline: true }) ||
+      checkTableDeletion(model, request.range),
+    apply: (model, request) => {
+      model.units.splice(request.range.startIndex, request.range.endIndex - request.range.startIndex);
+    }
+  },
+
+  updateTextStyle: {
+    check: (model, request) => checkRange(model, request.range, 'updateTextStyle'),
+    apply: (model, request, requestIndex, report) => {
+      const fields = request.fields.split(',');
+      const overridden = new Map();
+
+      forEachTextUnit(model, request.range, (unit) => {
+        for (const field of fields) {
+          if (unit.styleSetBy[field] !== undefined && unit.styleSetBy[field] !== requestIndex) {
+            overridden.set(unit.styleSetBy[field], field);
+          }
+          setField(unit.textStyle, field, request.textStyle);
+          unit.styleSetBy[field] = requestIndex;
+        }
+      });
+
+      for (const [previous, field] of overridden) {
+        report('warning', 'overlapping_styles', `Overrides "${field}" set by request ${previous}`);
+      }
+    }
+  },
+
+  updateParagraphStyle: {
+    check: (model, request) => checkRange(model, request.range, 'updateParagraphStyle'),
+    apply: (model, request) => {
+      const fields = request.fields.split(',');
+      forEachParagraph(model, request.range, (newline) => {
+        for (const field of fields) {
+          setField(newline.paragraphStyle, field, request.paragraphStyle);
+        }
+      });
+    }
+  },
+
+  createParagraphBullets: {
+    check: (model, request) => checkRange(model, request.range, 'createParagraphBullets'),
+    apply: (model, request) => createParagraphBullets(model, request.range, request.bulletPreset)
+  },
+
+  deleteParagraphBullets: {
+    check: (model, request) => checkRange(model, request.range, 'deleteParagraphBullets'),
+    apply: (model, request) => {
+      forEachParagraph(model, request.range, (newline) => {
+        newline.bullet = null;
+      });
+    }
+  },
+
+  pinTableHeaderRows: {
+    check: (model, request) => checkTableStart(model, request.tableStartLocation),
+    apply: (model, request) => {
+      model.units[request.tableStartLocation.index].pinnedHeaderRows = request.pinnedHeaderRowsCount;
+    }
+  },
+
+  updateDocumentStyle: {
+    check: () => null,
+    apply: (model, request) => {
+      for (const field of request.fields.split(',')) {
+        setField(model.documentStyle, field, request.documentStyle);
+      }
+    }
+  },
+
+  updateTableCellStyle: {
+    check: (model, request) => {
+      const location = request.tableRange && request.tableRange.tableCellLocation;
+      return checkTableStart(model, location && location.tableStartLocation);
+    },
+    apply: (model, request) => {
+      const { tableCellLocation, rowSpan, columnSpan } = request.tableRange;
+      const table = model.units[tableCellLocation.tableStartLocation.index];
+      const fields = request.fields.split(',');
+
+      for (let row = tableCellLocation.rowIndex; row < tableCellLocation.rowIndex + rowSpan; row++) {
+        for (let column = tableCellLocation.columnIndex; column < tableCellLocation.columnIndex + columnSpan; column++) {
+          const key = `${row},${column}`;
+          table.cellStyles[key] = table.cellStyles[key] || {};
+          for (const field of fields) {
+            setField(table.cellStyles[key], field, request.tableCellStyle);
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Table requests must point at a table start marker
+ */
+function checkTableStart(model, location) {
+  const index = location && location.index;
+  const unit = model.units[index];
+
+  if (!unit || unit.type !== 'tableStart') {
+    return { type: 'out_of_bounds', message: `No table starts at index ${index}` };
+  }
+  return null;
+}
+
+/**
+ * Insert locations must fall inside a paragraph of the body
+ */
+function checkLocation(model, location) {
+  const index = location && location.index;
+  const endIndex = model.units.length;
+
+  if (!Number.isInteger(index) || index < 1 || index > endIndex - 1) {
+    return {
+      type: 'out_of_bounds',
+      message: `Location ${index} is outside the document body (1-${endIndex - 1})`
+    };
+  }
+
+  if (model.units[index].type !== 'text') {
+    return {
+      type: 'invalid_location',
+      message: `Location ${index} is a ${model.units[index].type} marker, not inside a paragraph`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Ranges must be non-empty and lie within the body
+ */
+function checkRange(model, range, type, { excludeFinalNewline = false } = {}) {
+  if (!range || !Number.isInteger(range.startIndex) || !Number.isInteger(range.endIndex)) {
+    return { type: 'invalid_range', message: `${type} has no valid range` };
+  }
+
+  if (range.endIndex <= range.startIndex) {
+    return {
+      type: 'empty_range',
+      message: `${type} range ${range.startIndex}-${range.endIndex} is empty`,
+      correctable: true
+    };
+  }
+
+  const limit = excludeFinalNewline ? model.units.length - 1 : model.units.length;
+  if (range.startIndex < 1 || range.endIndex > limit) {
+    return {
+      type: 'out_of_bounds',
+      message: `${type} range ${range.startIndex}-${range.endIndex} is outside the document body (1-${limit})`,
+      correctable: true,
+      limit
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Tables can only be deleted as a whole
+ */
+function checkTableDeletion(model, range) {
+  const checked = new Set();
+
+  for (let i = range.startIndex; i < range.endIndex; i++) {
+    const unit = model.units[i];
+    const tableId = unit.tableId || (unit.cell && unit.cell.tableId);
+
+    if (!tableId || checked.has(tableId)) {
+      continue;
+    }
+    checked.add(tableId);
+
+    const start = model.units.findIndex((candidate) => candidate.type === 'tableStart' && candidate.tableId === tableId);
+    const end = getTableEnd(model, start);
+
+    if (start < range.startIndex || end > range.endIndex) {
+      return {
+        type: 'partial_table_deletion',
+        message: `deleteContentRange ${range.startIndex}-${range.endIndex} cuts through the table at ${start}-${end}`
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Clamp a request's range to the body; undefined means nothing is left to apply
+ */
+function correctRange(model, request, problem) {
+  const range = request.range;
+  const startIndex = Math.max(1, range.startIndex);
+  const endIndex = Math.min(problem.limit || model.units.length, range.endIndex);
+
+  if (endIndex <= startIndex) {
+    return undefined;
+  }
+
+  return { ...request, range: { startIndex, endIndex } };
+}
+
+/**
+ * Insert text into the paragraph at index; each '\n' splits the paragraph and
+ * the new paragraphs keep the paragraph style and bullet of the one they split
+ */
+function insertText(model, index, text) {
+  const container = model.units[getParagraphEnd(model, index)];
+  const previous = model.units[index - 1];
+  const inherited = previous && previous.type === 'text' && previous.char !== '\n'
+    ? previous.textStyle
+    : model.units[index].textStyle;
+
+  const units = [...text].flatMap((char) => {
+    // Characters outside the BMP take two UTF-16 indexes, like in the Docs API
+    const width = char.length;
+    const unit = char === '\n'
+      ? createNewlineUnit(container.cell, container.paragraphStyle, container.bullet)
+      : createTextUnit(char, container.cell);
+
+    unit.textStyle = { ...inherited };
+    if (width === 1) {
+      return [unit];
+    }
+
+    const lowSurrogate = createTextUnit('', container.cell);
+    lowSurrogate.textStyle = { ...inherited };
+    return [unit, lowSurrogate];
+  });
+
+  model.units.splice(index, 0, ...units);
+}
+
+/**
+ * Insert a newline, then an empty table with one paragraph per cell
+ */
+function insertTable(model, index, rows, columns) {
+  insertText(model, index, '\n');
+
+  const tableId = model.nextTableId++;
+  const units = [{ type: 'tableStart', tableId, rows, columns, pinnedHeaderRows: 0, cellStyles: {} }];
+
+  for (let row = 0; row < rows; row++) {
+    units.push({ type: 'rowStart', tableId });
+
+    for (let column = 0; column < columns; column++) {
+      const cell = { tableId, row, column };
+      units.push({ type: 'cellStart', tableId, cell });
+      units.push(createNewlineUnit(cell, {}, null));
+    }
+  }
+
+  model.units.splice(index + 1, 0, ...units);
+}
+
+/**
+ * Bullet every paragraph in range; leading tabs set the nesting level and are removed
+ */
+function createParagraphBullets(model, range, bulletPreset) {
+  const paragraphs = [];
+  forEachParagraph(model, range, (newline, start) => paragraphs.push(start));
+
+  // Work backwards so removing tabs does not move paragraphs still to be processed
+  for (const start of paragraphs.reverse()) {
+    let tabs = 0;
+    while (model.units[start + tabs].char === '\t') {
+      tabs += 1;
+    }
+
+    model.units.splice(start, tabs);
+    const newline = model.units[getParagraphEnd(model, start)];
+    newline.bullet = { bulletPreset, nestingLevel: tabs };
+  }
+}
+
+/**
+ * Call fn(unit) for every text unit in range
+ */
+function forEachTextUnit(model, range, fn) {
+  for (let i = range.startIndex; i < range.endIndex; i++) {
+    if (model.units[i].type === 'text') {
+      fn(model.units[i]);
+    }
+  }
+}
+
+/**
+ * Call fn(newlineUnit, paragraphStart) once for every paragraph overlapping range
+ */
+function forEachParagraph(model, range, fn) {
+  let i = range.startIndex;
+
+  while (i < range.endIndex) {
+    if (model.units[i].type !== 'text') {
+      i += 1;
+      continue;
+    }
+
+    const start = getParagraphStart(model, i);
+    const end = getParagraphEnd(model, i);
+    fn(model.units[end], start);
+    i = end + 1;
+  }
+}
+
+function getParagraphStart(model, index) {
+  let i = index;
+  while (i > 1 && model.units[i - 1].type === 'text' && model.units[i - 1].char !== '\n') {
+    i -= 1;
+  }
+  return i;
+}
+
+function getParagraphEnd(model, index) {
+  let i = index;
+  while (model.units[i].char !== '\n') {
+    i += 1;
+  }
+  return i;
+}
+
+/**
+ * Index just past the last unit belonging to the table starting at start
+ */
+function getTableEnd(model, start) {
+  const tableId = model.units[start].tableId;
+  let end = start + 1;
+
+  for (let i = start + 1; i < model.units.length; i++) {
+    const unit = model.units[i];
+    if (unit.tableId === tableId || (unit.cell && unit.cell.tableId === tableId)) {
+      end = i + 1;
+    }
+  }
+
+  return end;
+}
+
+function snapshotParagraph(units) {
+  const newline = units[units.length - 1];
+  const runs = [];
+
+  for (const unit of units.slice(0, -1)) {
+    const previous = runs[runs.length - 1];
+    if (previous && JSON.stringify(previous.textStyle) === JSON.stringify(unit.textStyle)) {
+      previous.text += unit.char;
+    } else {
+      runs.push({ text: unit.char, textStyle: unit.textStyle });
+    }
+  }
+
+  const paragraph = {
+    text: runs.map((run) => run.text).join(''),
+    runs: runs.filter((run) => Object.keys(run.textStyle).length > 0)
+  };
+
+  const images = [];
+  units.forEach((unit, offset) => {
+    if (unit.image) {
+      images.push({ offset, ...unit.image });
+    }
+  });
+  if (images.length > 0) {
+    paragraph.images = images;
+  }
+
+  if (Object.keys(newline.paragraphStyle).length > 0) {
+    paragraph.paragraphStyle = newline.paragraphStyle;
+  }
+  if (newline.bullet) {
+    paragraph.bullet = newline.bullet;
+  }
+
+  return paragraph;
+}
+
+function snapshotTable(model, start, end) {
+  const table = model.units[start];
+  const rows = Array.from({ length: table.rows }, () => Array.from({ length: table.columns }, () => []));
+  let i = start + 1;
+
+  while (i < end) {
+    const unit = model.units[i];
+
+    if (unit.type !== 'text') {
+      i += 1;
+      continue;
+    }
+
+    const paragraphEnd = getParagraphEnd(model, i) + 1;
+    rows[unit.cell.row][unit.cell.column].push(snapshotParagraph(model.units.slice(i, paragraphEnd)));
+    i = paragraphEnd;
+  }
+
+  const snapshot = { pinnedHeaderRows: table.pinnedHeaderRows, rows };
+  if (Object.keys(table.cellStyles).length > 0) {
+    snapshot.cellStyles = table.cellStyles;
+  }
+
+  return snapshot;
+}
+
+function createTextUnit(char, cell) {
+  return { type: 'text', char, cell, textStyle: {}, styleSetBy: {} };
+}
+
+function createNewlineUnit(cell, paragraphStyle, bullet) {
+  return {
+    ...createTextUnit('\n', cell),
+    paragraphStyle: { ...paragraphStyle },
+    bullet: bullet ? { ...bullet } : null
+  };
+}
+
+/**
+ * Copy one field mask entry from source into target; a field absent from source is cleared
+ */
+function setField(target, field, source) {
+  if (source[field] === undefined) {
+    delete target[field];
+  } else {
+    target[field] = source[field];
+  }
+}
+
+function createIssue(requestIndex, severity, type, message) {
+  if (severity === 'error') {
+    logger.debug(`Request ${requestIndex} rejected by simulator: ${message}`);
+  }
+  return { requestIndex, severity, type, message };
+}
@@ -0,0 +1,38 @@
+// File: src/utils/frontMatter.js
+
+const yaml = require('js-yaml');
+
+// A YAML block fenced by --- lines at the very start of the document (closed by --- or ...)
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Split YAML front matter from markdown.
+ * Dates stay strings (core schema), so values can be passed on as they were written.
+ * A fenced block that is not a YAML mapping (a thematic break followed by a setext
+ * heading, say) is left in the markdown.
+ * @param {string} markdown - Markdown content
+ * @returns {Object} { data, content } where data is null when there is no front matter
+ * @throws {Error} When the front matter is not valid YAML
+ */
+exports.parseFrontMatter = (markdown) => {
+  const match = FRONT_MATTER_PATTERN.exec(markdown);
+  if (!match) {
+    return { data: null, content: markdown };
+  }
+
+  let data;
+  try {
+    data = yaml.load(match[1] || '', { schema: yaml.CORE_SCHEMA });
+  } catch (error) {
+    throw new Error(`Front matter is not valid YAML: ${error.reason || error.message}`);
+  }
+
+  if (data === null || data === undefined) {
+    data = {};
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return { data: null, content: markdown };
+  }
+
+  return { data, content: markdown.slice(match[0].length) };
+};
@@ -0,0 +1,426 @@
+// File: src/utils/googleDocsExporter.js
+
+const logger = require('./logger');
+
+// Fonts treated as code when every run of a paragraph uses them
+const MONOSPACE_FONTS = ['courier new', 'consolas', 'roboto mono', 'source code pro', 'courier'];
+
+// Must match the blockquote and list indentation used by docsRequestVisitor
+const QUOTE_INDENT_PT = 36;
+const LIST_INDENT_PT = 36;
+
+// Docs paragraph alignment to GFM table delimiter cells
+const TABLE_DELIMITERS = {
+  CENTER: ':---:',
+  END: '---:'
+};
+
+/**
+ * Convert a Google Docs document resource (documents.get) to markdown
+ * @param {Object} document - Document returned by getDocumentMetadata
+ * @returns {string} Markdown content
+ */
+exports.convertDocumentToMarkdown = (document) => {
+  try {
+    logger.info(`Converting Google Doc ${document.documentId} to markdown`);
+
+    const context = {
+      lists: document.lists || {},
+      inlineObjects: document.inlineObjects || {},
+      listCounters: {}
+    };
+
+    const content = (document.body && document.body.content) || [];
+    const markdown = renderBlocks(collectBlocks(content, context));
+
+    logger.info(`Successfully converted Google Doc to markdown (${markdown.length} characters)`);
+
+    return markdown;
+  } catch (error) {
+    logger.error(`Error converting Google Doc to markdown: ${error.message}`, { stack: error.stack });
+    throw error;
+  }
+};
+
+/**
+ * Turn structural elements into markdown blocks.
+ * Each block is { kind, lines }; consecutive list items and code lines
+ * share a block so they are not separated by blank lines.
+ */
+function collectBlocks(content, context) {
+  const blocks = [];
+
+  for (const element of content) {
+    if (element.table) {
+      const codeBox = getCodeBoxLines(element.table);
+      if (codeBox) {
+        blocks.push({ kind: 'code', lines: codeBox });
+      } else {
+        blocks.push({ kind: 'table', lines: renderTable(element.table, context) });
+      }
+      continue;
+    }
+
+    if (!element.paragraph) {
+      continue; // Section breaks and tables of contents have no markdown form
+    }
+
+    const paragraph = element.paragraph;
+    const style = paragraph.paragraphStyle || {};
+
+    if (isCodeParagraph(paragraph)) {
+      appendToBlock(blocks, 'code', paragraphText(paragraph).replace(/\n$/, ''));
+      continue;
+    }
+
+    const text = renderElements(paragraph.elements, context);
+
+    if (paragraph.bullet) {
+      appendToBlock(blocks, 'list', renderListItem(paragraph.bullet, text, context));
+      continue;
+    }
+
+    if (text.trim() === '') {
+      // Empty paragraphs only separate blocks
+      blocks.push({ kind: 'break', lines: [] });
+      continue;
+    }
+
+    const heading = /^HEADING_([1-6])$/.exec(style.namedStyleType || '');
+    if (heading) {
+      blocks.push({ kind: 'heading', lines: [`${'#'.repeat(Number(heading[1]))} ${text.trim()}`] });
+      continue;
+    }
+
+    if (style.namedStyleType === 'TITLE') {
+      blocks.push({ kind: 'heading', lines: [`# ${text.trim()}`] });
+      continue;
+    }
+
+    const quoteDepth = getQuoteDepth(style);
+    if (quoteDepth > 0) {
+      appendToBlock(blocks, `quote${quoteDepth}`, `${'> '.repeat(quoteDepth)}${text.trim()}`);
+      continue;
+    }
+
+    const continuationLevel = getContinuationLevel(style, blocks);
+    if (continuationLevel >= 0) {
+      // A blank line and the item's indentation make it another paragraph of the list item
+      const previous = blocks[blocks.length - 1];
+      previous.lines.push('', `${'    '.repeat(continuationLevel + 1)}${escapeLineStart(text.trim())}`);
+      continue;
+    }
+
+    blocks.push({ kind: 'paragraph', lines: [escapeLineStart(text.trim())] });
+  }
+
+  return blocks;
+}
+
+/**
+ * Join blocks with single blank lines, fencing code blocks
+ */
+function renderBlocks(blocks) {
+  const parts = [];
+
+  for (const block of blocks) {
+    if (block.kind === 'break') {
+      continue;
+    }
+
+    if (block.kind === 'code') {
+      parts.push(['```', ...block.lines, '```'].join('\n'));
+    } else {
+      parts.push(block.lines.join('\n'));
+    }
+  }
+
+  return parts.length > 0 ? parts.join('\n\n') + '\n' : '';
+}
+
+/**
+ * Add a line to the previous block when it is of the same kind, or start a new one
+ */
+function appendToBlock(blocks, kind, line) {
+  const previous = blocks[blocks.length - 1];
+
+  if (previous && previous.kind === kind) {
+    previous.lines.push(line);
+  } else {
+    blocks.push({ kind, lines: [line] });
+  }
+}
+
+/**
+ * Render a bulleted paragraph, numbering ordered lists per list and level
+ */
+function renderListItem(bullet, text, context) {
+  const level = bullet.nestingLevel || 0;
+  const list = context.lists[bullet.listId];
+  const levels = (list && list.listProperties && list.listProperties.nestingLevels) || [];
+  const nesting = levels[level] || {};
+  const ordered = Boolean(nesting.glyphType) && nesting.glyphType !== 'GLYPH_TYPE_UNSPECIFIED';
+
+  // Deeper levels restart their numbering whenever a shallower item appears
+  const counters = context.listCounters[bullet.listId] || [];
+  counters.length = level + 1;
+  counters[level] = (counters[level] || 0) + 1;
+  context.listCounters[bullet.listId] = counters;
+
+  const marker = ordered ? `${(nesting.startNumber || 1) + counters[level] - 1}.` : '-';
+  const indent = '    '.repeat(level);
+
+  return `${indent}${marker} ${text.trim()}`;
+}
+
+/**
+ * Render a table as a GFM pipe table; the first row is the header
+ */
+function renderTable(table, context) {
+  // The converter bolds the header row; that bold is implied by the table, not markup
+  const rows = (table.tableRows || []).map((row, rowIndex) =>
+    (row.tableCells || []).map((cell) => ({
+      text: renderCell(cell, context, { ignoreBold: rowIndex === 0 }),
+      alignment: getCellAlignment(cell)
+    }))
+  );
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const columns = Math.max(...rows.map((row) => row.length));
+  const toLine = (cells) => `| ${cells.join(' | ')} |`;
+  const pad = (row) => Array.from({ length: columns }, (_, i) => (row[i] ? row[i].text : ''));
+
+  const [header, ...body] = rows;
+  const delimiter = Array.from({ length: columns }, (_, i) =>
+    (header[i] && TABLE_DELIMITERS[header[i].alignment]) || '---'
+  );
+
+  return [toLine(pad(header)), toLine(delimiter), ...body.map((row) => toLine(pad(row)))];
+}
+
+/**
+ * A single-cell table holding only code is a code block in the "box" layout
+ * @returns {Array|null} Code lines, or null for any other table
+ */
+function getCodeBoxLines(table) {
+  const rows = table.tableRows || [];
+  if (rows.length !== 1 || (rows[0].tableCells || []).length !== 1) {
+    return null;
+  }
+
+  const paragraphs = (rows[0].tableCells[0].content || []).filter((element) => element.paragraph);
+  if (paragraphs.length === 0 || !paragraphs.every((element) => isCodeParagraph(element.paragraph))) {
+    return null;
+  }
+
+  return paragraphs.map((element) => paragraphText(element.paragraph).replace(/\n$/, ''));
+}
+
+/**
+ * Render a table cell's paragraphs on a single line; paragraphs and line breaks become <br>
+ */
+function renderCell(cell, context, options) {
+  const paragraphs = (cell.content || [])
+    .filter((element) => element.paragraph)
+    .map((element) => renderElements(element.paragraph.elements, context, options).trim())
+    .filter((text) => text !== '');
+
+  return paragraphs.join('<br>').replace(/\\\n/g, '<br>').replace(/\|/g, '\\|');
+}
+
+function getCellAlignment(cell) {
+  const first = (cell.content || []).find((element) => element.paragraph);
+  return first && first.paragraph.paragraphStyle ? first.paragraph.paragraphStyle.alignment : undefined;
+}
+
+/**
+ * Render paragraph elements (text runs, inline images) to inline markdown.
+ * Adjacent runs with the same formatting are merged before wrapping them in markers.
+ * With ignoreBold, bold text is written without ** markers.
+ */
+function renderElements(elements, context, { ignoreBold = false } = {}) {
+  const segments = [];
+
+  for (const element of elements || []) {
+    if (element.inlineObjectElement) {
+      segments.push({ markdown: renderInlineObject(element.inlineObjectElement, context) });
+      continue;
+    }
+
+    if (!element.textRun) {
+      continue;
+    }
+
+    const text = element.textRun.content.replace(/\n$/, '');
+    if (!text) {
+      continue;
+    }
+
+    const style = getRunStyle(element.textRun.textStyle || {});
+    if (ignoreBold) {
+      style.bold = false;
+    }
+    const previous = segments[segments.length - 1];
+
+    if (previous && previous.style && sameRunStyle(previous.style, style)) {
+      previous.text += text;
+    } else {
+      segments.push({ text, style });
+    }
+  }
+
+  return segments
+    .map((segment) => (segment.markdown !== undefined ? segment.markdown : wrapRun(segment.text, segment.style)))
+    .join('');
+}
+
+/**
+ * Extract the formatting that has a markdown equivalent
+ */
+function getRunStyle(textStyle) {
+  return {
+    bold: Boolean(textStyle.bold),
+    italic: Boolean(textStyle.italic),
+    strikethrough: Boolean(textStyle.strikethrough),
+    code: isMonospace(textStyle),
+    link: textStyle.link && textStyle.link.url ? textStyle.link.url : null
+  };
+}
+
+function sameRunStyle(a, b) {
+  return a.bold === b.bold &&
+    a.italic === b.italic &&
+    a.strikethrough === b.strikethrough &&
+    a.code === b.code &&
+    a.link === b.link;
+}
+
+/**
+ * Wrap a run of text in markdown markers; surrounding whitespace stays outside.
+ * Line breaks (vertical tabs) become backslash hard breaks after escaping, so their
+ * backslash is not escaped itself.
+ */
+function wrapRun(text, style) {
+  const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+  const [, leading, core, trailing] = match;
+
+  if (!core) {
+    return text.replace(/\u000b/g, '\\\n');
+  }
+
+  let markdown;
+  if (style.code) {
+    const fence = core.includes('`') ? '``' : '`';
+    markdown = `${fence}${core}${fence}`;
+  } else {
+    markdown = escapeInline(core);
+  }
+
+  if (style.bold && style.italic) {
+    markdown = `***${markdown}***`;
+  } else if (style.bold) {
+    markdown = `**${markdown}**`;
+  } else if (style.italic) {
+    markdown = `*${markdown}*`;
+  }
+
+  if (style.strikethrough) {
+    markdown = `~~${markdown}~~`;
+  }
+
+  if (style.link) {
+    markdown = `[${markdown}](${style.link})`;
+  }
+
+  return `${leading}${markdown}${trailing}`.replace(/\u000b/g, '\\\n');
+}
+
+/**
+ * Render an inline image as markdown image syntax
+ */
+function renderInlineObject(inlineObjectElement, context) {
+  const inlineObject = context.inlineObjects[inlineObjectElement.inlineObjectId];
+  const embedded = inlineObject &&
+    inlineObject.inlineObjectProperties &&
+    inlineObject.inlineObjectProperties.embeddedObject;
+
+  if (!embedded || !embedded.imageProperties) {
+    return '';
+  }
+
+  const alt = embedded.description || embedded.title || '';
+  const url = embedded.imageProperties.sourceUri || embedded.imageProperties.contentUri;
+
+  return `![${escapeInline(alt)}](${url})`;
+}
+
+function isMonospace(textStyle) {
+  const fontFamily = textStyle.weightedFontFamily && textStyle.weightedFontFamily.fontFamily;
+  return Boolean(fontFamily) && MONOSPACE_FONTS.includes(fontFamily.toLowerCase());
+}
+
+/**
+ * A paragraph is a code line when all of its text is monospace
+ */
+function isCodeParagraph(paragraph) {
+  const runs = (paragraph.elements || []).filter((element) =>
+    element.textRun && element.textRun.content.replace(/\n$/, '') !== ''
+  );
+
+  return runs.length > 0 && runs.every((element) => isMonospace(element.textRun.textStyle || {}));
+}
+
+function paragraphText(paragraph) {
+  return (paragraph.elements || [])
+    .map((element) => (element.textRun ? element.textRun.content : ''))
+    .join('')
+    .replace(/\u000b/g, '\n');
+}
+
+/**
+ * Blockquotes are the paragraphs with a left border; indentation alone is also used
+ * by list continuations and tables of contents
+ */
+function getQuoteDepth(paragraphStyle) {
+  const border = paragraphStyle.borderLeft;
+  if (!border || !border.width || !border.width.magnitude) {
+    return 0;
+  }
+
+  const indent = paragraphStyle.indentStart && paragraphStyle.indentStart.magnitude;
+  return Math.max(1, Math.round((indent || 0) / QUOTE_INDENT_PT));
+}
+
+/**
+ * Nesting level of the list item an indented paragraph continues, or -1 when it
+ * does not directly follow a list
+ */
+function getContinuationLevel(paragraphStyle, blocks) {
+  const indent = paragraphStyle.indentStart && paragraphStyle.indentStart.magnitude;
+  const previous = blocks[blocks.length - 1];
+
+  if (!indent || !previous || previous.kind !== 'list') {
+    return -1;
+  }
+
+  return Math.max(0, Math.round(indent / LIST_INDENT_PT) - 1);
+}
+
+/**
+ * Escape characters that would otherwise be read as inline markdown
+ */
+function escapeInline(text) {
+  return text.replace(/([\\`*_[\]<~])/g, '\\$1');
+}
+
+/**
+ * Escape characters that would turn a paragraph into another block type
+ */
+function escapeLineStart(text) {
+  return text
+    .replace(/^(#{1,6}\s|>|[-+]\s)/, '\\$1')
+    .replace(/^(\d+)([.)]\s)/, '$1\\$2');
+}
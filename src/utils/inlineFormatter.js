@@ -0,0 +1,391 @@
+// File: src/utils/inlineFormatter.js
+
+const logger = require('./logger');
+
+// Stands in for an inline image or footnote reference in rendered text: each takes one document index
+const IMAGE_PLACEHOLDER = '\uFFFC';
+
+// Pandoc-style attribute block directly after an image: ![alt](url){width=300 height=200}
+const IMAGE_ATTRIBUTES_REGEX = /^\{([^}]*)\}/;
+
+// Inline code: monospace on a light grey background, like code blocks in the light theme
+const CODE_SPAN_STYLE = {
+  weightedFontFamily: { fontFamily: 'Courier New' },
+  backgroundColor: {
+    color: {
+      rgbColor: {
+        red: 0.95,
+        green: 0.95,
+        blue: 0.95
+      }
+    }
+  }
+};
+
+// ==highlight== and <mark>
+const HIGHLIGHT_STYLE = {
+  backgroundColor: {
+    color: {
+      rgbColor: {
+        red: 1,
+        green: 0.95,
+        blue: 0.4
+      }
+    }
+  }
+};
+
+// Inline HTML tags with a Docs text style equivalent; other tags are dropped
+const HTML_TAG_STYLES = {
+  u: { underline: true },
+  ins: { underline: true },
+  s: { strikethrough: true },
+  del: { strikethrough: true },
+  strike: { strikethrough: true },
+  sup: { baselineOffset: 'SUPERSCRIPT' },
+  sub: { baselineOffset: 'SUBSCRIPT' },
+  mark: HIGHLIGHT_STYLE
+};
+
+// Named character references that commonly appear in agent-generated markdown
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–'
+};
+
+/**
+ * Inline token visitors, keyed by marked token type.
+ * Visitors append visible text to the run; markers wrap their children in a style span.
+ */
+const inlineVisitors = {
+  text: (token, run) => {
+    if (token.tokens) {
+      appendInline(token.tokens, run);
+    } else {
+      // Soft line breaks render as a space, like in HTML output
+      appendText(decodeEntities(token.text).replace(/\n/g, ' '), run);
+    }
+  },
+  escape: (token, run) => appendText(token.text, run),
+  strong: (token, run) => appendStyled(token.tokens, run, { bold: true }),
+  em: (token, run) => appendStyled(token.tokens, run, { italic: true }),
+  del: (token, run) => appendStyled(token.tokens, run, { strikethrough: true }),
+  mark: (token, run) => appendStyled(token.tokens, run, HIGHLIGHT_STYLE),
+  codespan: (token, run) => {
+    const start = run.text.length;
+    appendText(decodeEntities(token.text), run);
+    run.spans.push({ start, end: run.text.length, style: { ...CODE_SPAN_STYLE, ...run.options.codeStyle } });
+  },
+  link: (token, run) => appendStyled(token.tokens, run, { link: { url: token.href }, ...run.options.linkStyle }),
+  image: (token, run) => appendImage(token, run),
+  footnoteRef: (token, run) => appendFootnoteRef(token, run),
+  br: (token, run) => appendText('\u000b', run), // Vertical tab is a line break inside a Docs paragraph
+  html: (token, run, openTags) => applyHtmlTag(token, run, openTags) // Unknown tags are dropped, their inner text is kept
+};
+
+/**
+ * Render inline tokens to the visible text and the style spans that apply to it.
+ * Span offsets are relative to the returned text, never to the markdown source.
+ * Inline images and footnote references appear in the text as IMAGE_PLACEHOLDER
+ * and are listed in images and footnotes.
+ * @param {Array} tokens - Inline tokens
+ * @param {Object} options - Rendering options
+ * @param {Object} options.baseStyle - Text style for the whole run; inline markup overrides its fields
+ * @param {Set} options.unavailableImages - Image URLs known to be unreachable
+ * @param {Object} options.codeStyle - Fields overriding the inline code style
+ * @param {Object} options.linkStyle - Text style added to links
+ * @param {Map} options.footnotes - Footnote labels that have a definition; other [^label] stay literal
+ * @returns {Object} Rendered run ({ text, spans, images, footnotes })
+ */
+exports.renderInline = (tokens, options = {}) => {
+  const run = { text: '', spans: [], images: [], footnotes: [], options };
+  appendInline(tokens, run);
+
+  const spans = options.baseStyle
+    ? [...mergeSpans(fillBaseStyle(run.spans, run.text.length, options.baseStyle)), ...run.spans]
+    : run.spans;
+
+  return {
+    text: run.text,
+    spans: mergeSpans(spans),
+    images: run.images,
+    footnotes: run.footnotes
+  };
+};
+
+exports.IMAGE_PLACEHOLDER = IMAGE_PLACEHOLDER;
+
+/**
+ * Append inline tokens to a run
+ */
+function appendInline(tokens, run) {
+  const openTags = []; // HTML tags are only paired within the same token list
+
+  for (const token of attachImageAttributes(tokens)) {
+    const visitor = inlineVisitors[token.type];
+
+    if (visitor) {
+      visitor(token, run, openTags);
+    } else {
+      logger.warn(`Unsupported markdown inline "${token.type}", inserting as plain text`);
+      appendText(token.raw || '', run);
+    }
+  }
+}
+
+/**
+ * Append inline tokens and record a span covering everything they produced
+ */
+function appendStyled(tokens, run, style) {
+  const start = run.text.length;
+  appendInline(tokens, run);
+  const end = run.text.length;
+
+  if (end > start) {
+    run.spans.push({ start, end, style });
+  }
+}
+
+/**
+ * Track <u>, <sup>, <sub>, ... opening tags; a closing tag styles the text since its opening tag.
+ * The lexer emits each tag as its own token, so the text in between was appended already.
+ */
+function applyHtmlTag(token, run, openTags) {
+  // <br> is how table cells spell a line break; the exporter writes it for multi-line cells
+  if (/^<br\s*\/?>$/i.test(token.text.trim())) {
+    appendText('\u000b', run);
+    return;
+  }
+
+  const match = /^<(\/?)([a-z]+)[^>]*>$/i.exec(token.text.trim());
+  const name = match && match[2].toLowerCase();
+
+  if (!match || !HTML_TAG_STYLES[name]) {
+    return;
+  }
+
+  if (!match[1]) {
+    openTags.push({ name, start: run.text.length });
+    return;
+  }
+
+  const index = openTags.map((tag) => tag.name).lastIndexOf(name);
+  if (index === -1) {
+    return;
+  }
+
+  const [tag] = openTags.splice(index, 1);
+  if (run.text.length > tag.start) {
+    run.spans.push({ start: tag.start, end: run.text.length, style: HTML_TAG_STYLES[name] });
+  }
+}
+
+/**
+ * Append an inline image, or a linked placeholder when the image cannot be inserted
+ */
+function appendImage(token, run) {
+  const unavailable = run.options.unavailableImages;
+  const size = getImageSize(token);
+
+  if (!/^https:\/\//i.test(token.href) || (unavailable && unavailable.has(token.href))) {
+    const style = /^https?:\/\//i.test(token.href)
+      ? { italic: true, link: { url: token.href } }
+      : { italic: true };
+    const start = run.text.length;
+
+    appendText(`[Image: ${token.text || token.href}]`, run);
+    run.spans.push({ start, end: run.text.length, style });
+    return;
+  }
+
+  run.images.push({
+    offset: run.text.length,
+    uri: token.href,
+    alt: token.text,
+    ...size
+  });
+  appendText(IMAGE_PLACEHOLDER, run);
+}
+
+/**
+ * Append a footnote reference ([^label]); references without a definition stay as text
+ */
+function appendFootnoteRef(token, run) {
+  const footnotes = run.options.footnotes;
+
+  if (!footnotes || !footnotes.has(token.label)) {
+    appendText(token.raw, run);
+    return;
+  }
+
+  run.footnotes.push({
+    offset: run.text.length,
+    label: token.label
+  });
+  appendText(IMAGE_PLACEHOLDER, run);
+}
+
+/**
+ * Move a {width=... height=...} block following an image onto the image token
+ */
+function attachImageAttributes(tokens) {
+  return tokens.map((token, i) => {
+    const previous = tokens[i - 1];
+    const match = token.type === 'text' && previous && previous.type === 'image' &&
+      IMAGE_ATTRIBUTES_REGEX.exec(token.text);
+
+    if (!match) {
+      return token;
+    }
+
+    previous.attributes = match[1];
+    const text = token.text.slice(match[0].length);
+    return { ...token, raw: text, text, tokens: undefined };
+  });
+}
+
+/**
+ * Image size from the attribute block or the title ("width=300 height=200" or "300x200").
+ * Bare numbers and px are CSS pixels; Docs sizes are in points.
+ */
+function getImageSize(token) {
+  const source = `${token.attributes || ''} ${token.title || ''}`;
+  const size = {};
+
+  const dimensions = /(?:^|\s)(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)(?:\s|$)/.exec(source);
+  if (dimensions) {
+    size.width = toPoints(dimensions[1], 'px');
+    size.height = toPoints(dimensions[2], 'px');
+  }
+
+  const attributeRegex = /(width|height)\s*=\s*"?(\d+(?:\.\d+)?)(px|pt)?"?/gi;
+  let match;
+  while ((match = attributeRegex.exec(source)) !== null) {
+    size[match[1].toLowerCase()] = toPoints(match[2], match[3] || 'px');
+  }
+
+  return size;
+}
+
+function toPoints(value, unit) {
+  const number = Number(value);
+  return unit.toLowerCase() === 'pt' ? number : Math.round(number * 0.75 * 100) / 100;
+}
+
+/**
+ * Append visible text to a run
+ */
+function appendText(text, run) {
+  run.text += text;
+}
+
+/**
+ * Spans applying the base style wherever inline markup does not set the same field,
+ * so no two style updates touch the same field of the same text
+ */
+function fillBaseStyle(spans, length, baseStyle) {
+  const boundaries = [...new Set([0, length, ...spans.flatMap((span) => [span.start, span.end])])]
+    .sort((a, b) => a - b);
+  const filled = [];
+
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const start = boundaries[i];
+    const end = boundaries[i + 1];
+    const covering = spans.filter((span) => span.start <= start && span.end >= end);
+    const style = {};
+
+    for (const field of Object.keys(baseStyle)) {
+      if (!covering.some((span) => field in span.style)) {
+        style[field] = baseStyle[field];
+      }
+    }
+
+    if (Object.keys(style).length > 0) {
+      filled.push({ start, end, style });
+    }
+  }
+
+  return filled;
+}
+
+/**
+ * Collapse the raw spans into as few style updates as possible:
+ * spans sharing a range are combined (***x*** is one bold+italic update),
+ * nested spans repeating their parent's style are dropped, and touching
+ * spans with an identical style are joined (**a****b**).
+ */
+function mergeSpans(spans) {
+  const byRange = new Map();
+
+  for (const span of spans) {
+    const key = `${span.start}:${span.end}`;
+    const existing = byRange.get(key);
+
+    if (existing) {
+      existing.style = { ...existing.style, ...span.style };
+    } else {
+      byRange.set(key, { ...span });
+    }
+  }
+
+  const merged = [];
+  const sorted = [...byRange.values()].sort((a, b) => a.start - b.start || b.end - a.end);
+
+  for (const span of sorted) {
+    // Skip spans that an enclosing span already styles (**a **b** c**)
+    const redundant = merged.some((outer) =>
+      outer.start <= span.start && outer.end >= span.end && impliesStyle(outer.style, span.style)
+    );
+
+    if (redundant) {
+      continue;
+    }
+
+    const previous = merged.find((candidate) =>
+      candidate.end === span.start && sameStyle(candidate.style, span.style)
+    );
+
+    if (previous) {
+      previous.end = span.end;
+    } else {
+      merged.push(span);
+    }
+  }
+
+  return merged;
+}
+
+function sameStyle(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function impliesStyle(outer, inner) {
+  return Object.keys(inner).every((key) => JSON.stringify(outer[key]) === JSON.stringify(inner[key]));
+}
+
+/**
+ * Decode HTML character references left in text by the lexer
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const codePoint = name[1] === 'x' || name[1] === 'X'
+        ? parseInt(name.slice(2), 16)
+        : parseInt(name.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+
+    const decoded = NAMED_ENTITIES[name.toLowerCase()];
+    return decoded === undefined ? entity : decoded;
+  });
+}
@@ -1,23 +1,112 @@
 // File: src/utils/markdownProcessor.js
 
+const { Marked } = require('marked');
 const logger = require('./logger');
+const { createContext, visitBlocks, insertTableOfContents, collectHeadingLinks } = require('./docsRequestVisitor');
+
+/**
+ * ==highlighted text== (not part of GFM), lexed into a "mark" token with inline children
+ */
+const highlightExtension = {
+  name: 'mark',
+  level: 'inline',
+  start: (src) => {
+    const index = src.indexOf('==');
+    return index === -1 ? undefined : index;
+  },
+  tokenizer(src) {
+    const match = /^==(?=[^\s=])([\s\S]*?[^\s\\])==(?!=)/.exec(src);
+    if (match) {
+      return {
+        type: 'mark',
+        raw: match[0],
+        text: match[1],
+        tokens: this.lexer.inlineTokens(match[1])
+      };
+    }
+  }
+};
+
+/**
+ * Footnote references ([^label]), lexed into a "footnoteRef" token
+ */
+const footnoteRefExtension = {
+  name: 'footnoteRef',
+  level: 'inline',
+  start: (src) => {
+    const index = src.indexOf('[^');
+    return index === -1 ? undefined : index;
+  },
+  tokenizer(src) {
+    const match = /^\[\^([^\]\s]+)\]/.exec(src);
+    if (match) {
+      return {
+        type: 'footnoteRef',
+        raw: match[0],
+        label: match[1]
+      };
+    }
+  }
+};
+
+/**
+ * Footnote definitions ([^label]: text), continued by lines indented two spaces or a tab
+ */
+const footnoteExtension = {
+  name: 'footnote',
+  level: 'block',
+  start: (src) => {
+    const match = /^\[\^[^\]\s]+\]:/m.exec(src);
+    return match ? match.index : undefined;
+  },
+  tokenizer(src) {
+    const match = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?: {2,}|\t)[^\n]*)*)(?:\n|$)/.exec(src);
+    if (match) {
+      const token = {
+        type: 'footnote',
+        raw: match[0],
+        label: match[1],
+        text: match[2].replace(/\n[ \t]+/g, '\n').trim(),
+        tokens: []
+      };
+      this.lexer.inline(token.text, token.tokens);
+      return token;
+    }
+  }
+};
+
+// GitHub alert marker on the first line of a blockquote, with an optional custom title
+const CALLOUT_MARKER_REGEX = /^\[!(note|tip|important|warning|caution)\][ \t]*([^\n]*)(?:\n|$)/i;
+
+const markdownParser = new Marked({
+  gfm: true,
+  extensions: [highlightExtension, footnoteRefExtension, footnoteExtension]
+});
 
 /**
  * Process markdown content and convert to Google Docs format
  * @param {string} markdown - Markdown content
- * @returns {Object} Google Docs formatted content
+ * @param {Object} options - Conversion options
+ * @param {number} options.startIndex - Document index to insert content at (default 1)
+ * @param {Set} options.unavailableImages - Image URLs to render as placeholders
+ * @param {boolean} options.toc - Start with a table of contents (unless a [TOC] paragraph places it)
+ * @param {string} options.thematicBreak - 'rule' (default) or 'pageBreak' for --- lines
+ * @returns {Object} Google Docs formatted content ({ requests, tasks, headingLinks, footnotes })
  */
-exports.processMarkdown = (markdown) => {
+exports.processMarkdown = (markdown, options = {}) => {
   try {
     logger.info('Processing markdown to Google Docs format');
-    
-    // Directly parse the markdown
-    const requests = convertMarkdownToRequests(markdown);
-    
+
+    // Parse the markdown into an AST and walk it
+    const { requests, tasks, headingLinks, footnotes } = convertMarkdownToRequests(markdown, options);
+
     logger.info(`Successfully processed markdown to Google Docs format with ${requests.length} requests`);
-    
+
     return {
-      requests
+      requests,
+      tasks,
+      headingLinks,
+      footnotes
     };
   } catch (error) {
     logger.error(`Error processing markdown: ${error.message}`, { stack: error.stack });
@@ -26,308 +115,107 @@ exports.processMarkdown = (markdown) => {
 };
 
 /**
- * Convert markdown directly to Google Docs API requests
+ * Parse markdown into a token tree (CommonMark + GFM, plus ==highlight==)
  * @param {string} markdown - Markdown content
- * @returns {Array} Array of Google Docs API requests
+ * @returns {Array} Block-level tokens with nested inline tokens
  */
-function convertMarkdownToRequests(markdown) {
-  const requests = [];
-  let index = 1; // Start at 1 since the document already has title
-  
-  // Split the markdown into lines
-  const lines = markdown.split('\n');
-  
-  // Process each line
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    
-    // Skip empty lines
-    if (line.trim() === '') {
-      requests.push({
-        insertText: {
-          text: '\n',
-          location: { index }
-        }
-      });
-      index += 1;
-      continue;
-    }
-    
-    // Process headings (e.g., # Heading 1, ## Heading 2)
-    const headingMatch = line.match(/^(#{1,6})\s+(.+)$/);
-    if (headingMatch) {
-      const level = headingMatch[1].length;
-      const text = headingMatch[2];
-      
-      requests.push({
-        insertText: {
-          text: text + '\n',
-          location: { index }
-        }
-      });
-      
-      requests.push({
-        updateParagraphStyle: {
-          paragraphStyle: {
-            namedStyleType: `HEADING_${level}`
-          },
-          range: {
-            startIndex: index,
-            endIndex: index + text.length
-          },
-          fields: 'namedStyleType'
-        }
-      });
-      
-      index += text.length + 1; // +1 for newline
-      continue;
-    }
-    
-    // Process lists (bulleted and numbered)
-    const bulletedListMatch = line.match(/^(\s*)-\s+(.+)$/);
-    const numberedListMatch = line.match(/^(\s*)\d+\.\s+(.+)$/);
-    
-    if (bulletedListMatch) {
-      const indent = bulletedListMatch[1].length;
-      const text = bulletedListMatch[2];
-      
-      requests.push({
-        insertText: {
-          text: text + '\n',
-          location: { index }
-        }
-      });
-      
-      requests.push({
-        createParagraphBullets: {
-          range: {
-            startIndex: index,
-            endIndex: index + text.length
-          },
-          bulletPreset: 'BULLET_DISC_CIRCLE_SQUARE'
-        }
-      });
-      
-      if (indent > 0) {
-        requests.push({
-          updateParagraphStyle: {
-            paragraphStyle: {
-              indentStart: {
-                magnitude: indent * 18,
-                unit: 'PT'
-              },
-              indentFirstLine: {
-                magnitude: 0,
-                unit: 'PT'
-              }
-            },
-            range: {
-              startIndex: index,
-              endIndex: index + text.length
-            },
-            fields: 'indentStart,indentFirstLine'
-          }
-        });
-      }
-      
-      index += text.length + 1; // +1 for newline
-      continue;
-    }
-    
-    if (numberedListMatch) {
-      const indent = numberedListMatch[1].length;
-      const text = numberedListMatch[2];
-      
-      requests.push({
-        insertText: {
-          text: text + '\n',
-          location: { index }
-        }
-      });
-      
-      requests.push({
-        createParagraphBullets: {
-          range: {
-            startIndex: index,
-            endIndex: index + text.length
-          },
-          bulletPreset: 'NUMBERED_DECIMAL_NESTED'
-        }
-      });
-      
-      if (indent > 0) {
-        requests.push({
-          updateParagraphStyle: {
-            paragraphStyle: {
-              indentStart: {
-                magnitude: indent * 18,
-                unit: 'PT'
-              },
-              indentFirstLine: {
-                magnitude: 0,
-                unit: 'PT'
-              }
-            },
-            range: {
-              startIndex: index,
-              endIndex: index + text.length
-            },
-            fields: 'indentStart,indentFirstLine'
-          }
-        });
-      }
-      
-      index += text.length + 1; // +1 for newline
-      continue;
+function parseMarkdown(markdown) {
+  const tokens = markdownParser.lexer(markdown.replace(/\r\n?/g, '\n'));
+
+  walkTokens(tokens, liftCallout);
+  return tokens;
+}
+
+/**
+ * Turn a blockquote starting with a GitHub alert marker (> [!NOTE]) into a "callout"
+ * token; the rest of its first paragraph is lexed again as the callout's first blocks
+ */
+function liftCallout(token) {
+  const first = token.type === 'blockquote' && token.tokens[0];
+  const match = first && first.type === 'paragraph' && CALLOUT_MARKER_REGEX.exec(first.text);
+
+  if (!match) {
+    return;
+  }
+
+  const rest = first.text.slice(match[0].length);
+  token.type = 'callout';
+  token.kind = match[1].toLowerCase();
+  token.title = match[2].trim() || null;
+  token.tokens = [...(rest.trim() ? markdownParser.lexer(rest) : []), ...token.tokens.slice(1)];
+}
+
+exports.parseMarkdown = parseMarkdown;
+
+/**
+ * Collect the URLs of all images referenced in markdown
+ * @param {string} markdown - Markdown content
+ * @returns {Array} Unique image URLs
+ */
+exports.collectImageUrls = (markdown) => {
+  const urls = new Set();
+
+  walkTokens(parseMarkdown(markdown), (token) => {
+    if (token.type === 'image') {
+      urls.add(token.href);
     }
-    
-    // Process code blocks
-    if (line.trim().startsWith('```')) {
-      const codeStartMatch = line.trim().match(/^```([a-zA-Z0-9]*)?$/);
-      if (codeStartMatch) {
-        // This is the start of a code block
-        const language = codeStartMatch[1] || '';
-        let codeContent = '';
-        let j = i + 1;
-        
-        // Find the end of the code block
-        while (j < lines.length && !lines[j].trim().startsWith('```')) {
-          codeContent += lines[j] + '\n';
-          j++;
-        }
-        
-        // Add code block to requests
-        requests.push({
-          insertText: {
-            text: codeContent,
-            location: { index }
-          }
-        });
-        
-        requests.push({
-          updateTextStyle: {
-            textStyle: {
-              fontFamily: 'Courier New',
-              backgroundColor: {
-                color: {
-                  rgbColor: {
-                    red: 0.95,
-                    green: 0.95,
-                    blue: 0.95
-                  }
-                }
-              }
-            },
-            range: {
-              startIndex: index,
-              endIndex: index + codeContent.length
-            },
-            fields: 'fontFamily,backgroundColor'
-          }
-        });
-        
-        index += codeContent.length;
-        i = j; // Skip to the end of the code block
-        continue;
-      }
+  });
+
+  return [...urls];
+};
+
+/**
+ * Visit every token in the tree, including list items and table cells
+ */
+function walkTokens(tokens, fn) {
+  for (const token of tokens) {
+    fn(token);
+
+    const children = [...(token.tokens || []), ...(token.items || [])];
+    if (token.type === 'table') {
+      children.push(...token.header, ...token.rows.flat());
     }
-    
-    // Process regular paragraph
-    requests.push({
-      insertText: {
-        text: line + '\n',
-        location: { index }
-      }
-    });
-    
-    // Process inline formatting for this paragraph
-    processInlineFormatting(requests, line, index);
-    
-    index += line.length + 1; // +1 for newline
+
+    walkTokens(children, fn);
   }
-  
-  return requests;
 }
 
 /**
- * Process inline formatting (bold, italic, links) in text
- * @param {Array} requests - Array of Google Docs API requests to add to
- * @param {string} text - Text to process
- * @param {number} startIndex - Starting index in the document
+ * Convert markdown directly to Google Docs API requests
+ * @param {string} markdown - Markdown content
+ * @param {Object} options - Conversion options
+ * @returns {Object} Google Docs API requests, the task list items found, the
+ *   ranges to link to headings and the footnote texts to fill in once the document exists
  */
-function processInlineFormatting(requests, text, startIndex) {
-  // Process bold (** or __)
-  const boldRegex = /(\*\*|__)(.*?)\1/g;
-  let match;
-  
-  while ((match = boldRegex.exec(text)) !== null) {
-    const matchText = match[2];
-    const matchStart = match.index + match[1].length;
-    const matchEnd = matchStart + matchText.length;
-    
-    requests.push({
-      updateTextStyle: {
-        textStyle: {
-          bold: true
-        },
-        range: {
-          startIndex: startIndex + matchStart,
-          endIndex: startIndex + matchEnd
-        },
-        fields: 'bold'
-      }
-    });
-  }
-  
-  // Process italic (* or _)
-  const italicRegex = /(?<!\*|_)(\*|_)((?!\1).*?)\1(?!\1)/g;
-  
-  try {
-    while ((match = italicRegex.exec(text)) !== null) {
-      const matchText = match[2];
-      const matchStart = match.index + 1;
-      const matchEnd = matchStart + matchText.length;
-      
-      requests.push({
-        updateTextStyle: {
-          textStyle: {
-            italic: true
-          },
-          range: {
-            startIndex: startIndex + matchStart,
-            endIndex: startIndex + matchEnd
-          },
-          fields: 'italic'
-        }
-      });
+function convertMarkdownToRequests(markdown, options) {
+  const tokens = parseMarkdown(markdown);
+  const headings = [];
+  const footnotes = new Map();
+  let hasTocMarker = false;
+
+  walkTokens(tokens, (token) => {
+    if (token.type === 'heading') {
+      headings.push(token);
+    } else if (token.type === 'footnote' && !footnotes.has(token.label)) {
+      footnotes.set(token.label, token);
+    } else if (token.type === 'paragraph' && /^\[toc\]$/i.test(token.text.trim())) {
+      hasTocMarker = true;
     }
-  } catch (error) {
-    // Skip italic formatting if the regex fails
-    logger.warn('Error processing italic formatting, skipping');
-  }
-  
-  // Process links [text](url)
-  const linkRegex = /\[(.*?)\]\((.*?)\)/g;
-  
-  while ((match = linkRegex.exec(text)) !== null) {
-    const linkText = match[1];
-    const linkUrl = match[2];
-    const linkStart = match.index + 1;
-    const linkEnd = linkStart + linkText.length;
-    
-    requests.push({
-      updateTextStyle: {
-        textStyle: {
-          link: {
-            url: linkUrl
-          }
-        },
-        range: {
-          startIndex: startIndex + linkStart,
-          endIndex: startIndex + linkEnd
-        },
-        fields: 'link'
-      }
-    });
+  });
+
+  const context = createContext({ ...options, headings, footnotes });
+
+  if (options.toc && !hasTocMarker) {
+    insertTableOfContents(context);
   }
-}
\ No newline at end of file
+  visitBlocks(tokens, context);
+
+  const headingLinks = collectHeadingLinks(context);
+
+  return {
+    requests: context.requests,
+    tasks: context.tasks,
+    headingLinks,
+    footnotes: context.footnotes
+  };
+}
@@ -0,0 +1,82 @@
+// File: src/utils/requestChunker.js
+
+// Limits per documents.batchUpdate call, well under what the Docs API accepts
+const MAX_REQUESTS_PER_BATCH = parseInt(process.env.BATCH_MAX_REQUESTS, 10) || 500;
+const MAX_BYTES_PER_BATCH = parseInt(process.env.BATCH_MAX_BYTES, 10) || 1000000;
+
+/**
+ * Split requests into batches that are applied one after another.
+ * Docs applies the requests of a batch in order, and every index refers to the
+ * document as left by the requests before it, so sequential batches produce the
+ * same document as one big batch. An insertText too large for a batch on its own
+ * is split into consecutive inserts; requestIndexes maps every sent request back
+ * to the request it came from, so replies can be paired with the original requests.
+ * @param {Array} requests - Google Docs API requests
+ * @param {Object} limits - Limits per batch
+ * @param {number} limits.maxRequests - Requests per batch (default BATCH_MAX_REQUESTS or 500)
+ * @param {number} limits.maxBytes - JSON payload bytes per batch (default BATCH_MAX_BYTES or 1 MB)
+ * @returns {Array} Batches ({ requests, requestIndexes, firstRequest, lastRequest }), numbered by original request index
+ */
+exports.chunkRequests = (requests, limits = {}) => {
+  const maxRequests = limits.maxRequests || MAX_REQUESTS_PER_BATCH;
+  const maxBytes = limits.maxBytes || MAX_BYTES_PER_BATCH;
+
+  const chunks = [];
+  let current = null;
+
+  requests.forEach((request, requestIndex) => {
+    for (const piece of splitOversizedRequest(request, maxBytes)) {
+      const size = Buffer.byteLength(JSON.stringify(piece));
+
+      if (!current || current.requests.length >= maxRequests || current.bytes + size > maxBytes) {
+        current = { requests: [], requestIndexes: [], bytes: 0, firstRequest: requestIndex, lastRequest: requestIndex };
+        chunks.push(current);
+      }
+
+      current.requests.push(piece);
+      current.requestIndexes.push(requestIndex);
+      current.bytes += size;
+      current.lastRequest = requestIndex;
+    }
+  });
+
+  return chunks.map(({ requests: chunkRequests, requestIndexes, firstRequest, lastRequest }) => ({
+    requests: chunkRequests,
+    requestIndexes,
+    firstRequest,
+    lastRequest
+  }));
+};
+
+/**
+ * Split an insertText whose payload exceeds the batch size into consecutive inserts
+ */
+function splitOversizedRequest(request, maxBytes) {
+  if (!request.insertText || Buffer.byteLength(JSON.stringify(request)) <= maxBytes) {
+    return [request];
+  }
+
+  const { text, location } = request.insertText;
+  // JSON escaping can take up to 6 bytes per UTF-16 unit; leave room for the envelope
+  const pieceLength = Math.max(1, Math.floor((maxBytes - 200) / 6));
+  const pieces = [];
+  let offset = 0;
+
+  while (offset < text.length) {
+    let end = Math.min(offset + pieceLength, text.length);
+    // Never separate the two halves of a surrogate pair
+    if (end < text.length && /[\uD800-\uDBFF]/.test(text[end - 1])) {
+      end -= 1;
+    }
+
+    pieces.push({
+      insertText: {
+        text: text.slice(offset, end),
+        location: { ...location, index: location.index + offset }
+      }
+    });
+    offset = end;
+  }
+
+  return pieces;
+}
@@ -0,0 +1,73 @@
+// File: src/utils/requestValidator.js
+
+const logger = require('./logger');
+const { simulateRequests, getEndIndex, snapshotDocument } = require('./documentSimulator');
+
+/**
+ * Replay Google Docs batchUpdate requests on a local document model and report
+ * problems Google would reject, or that would silently produce the wrong formatting.
+ * @param {Array} requests - Google Docs API requests
+ * @param {Object} options - Validation options
+ * @param {number} options.endIndex - Body end index before the batch runs (default: empty doc)
+ * @param {boolean} options.snapshot - Include the simulated document in the report
+ * @returns {Object} Validation report ({ valid, documentLength, requestCount, issues[, document] })
+ */
+exports.validateRequests = (requests, options = {}) => {
+  const { model, issues } = simulateRequests(requests, { endIndex: options.endIndex });
+
+  const errors = issues.filter((issue) => issue.severity === 'error');
+  if (errors.length > 0) {
+    logger.warn(`Request validation found ${errors.length} error(s) in ${requests.length} requests`);
+  }
+
+  const report = {
+    valid: errors.length === 0,
+    documentLength: getEndIndex(model),
+    requestCount: requests.length,
+    issues
+  };
+
+  if (options.snapshot) {
+    report.document = snapshotDocument(model);
+  }
+
+  return report;
+};
+
+/**
+ * Check a batch before it is sent to Google.
+ * In 'correct' mode, out-of-bounds ranges are clamped and empty ranges dropped;
+ * in 'reject' mode any issue Google would refuse throws. 'off' skips the check.
+ * @param {Array} requests - Google Docs API requests
+ * @param {Object} options - Options
+ * @param {number} options.endIndex - Body end index before the batch runs
+ * @param {string} options.mode - 'correct' (default), 'reject' or 'off'
+ * @returns {Array} Requests that are safe to send
+ */
+exports.prepareRequests = (requests, options = {}) => {
+  const mode = options.mode || process.env.REQUEST_VALIDATION || 'correct';
+
+  if (mode === 'off') {
+    return requests;
+  }
+
+  const { requests: corrected, issues } = simulateRequests(requests, {
+    endIndex: options.endIndex,
+    autoCorrect: mode === 'correct'
+  });
+
+  const errors = issues.filter((issue) => issue.severity === 'error');
+  if (errors.length > 0) {
+    const summary = errors.slice(0, 5).map((issue) => `#${issue.requestIndex}: ${issue.message}`).join('; ');
+    const error = new Error(`Generated requests failed validation (${errors.length} error(s)): ${summary}`);
+    error.issues = errors;
+    throw error;
+  }
+
+  const corrections = issues.filter((issue) => issue.type !== 'overlapping_styles');
+  if (corrections.length > 0) {
+    logger.warn(`Corrected ${corrections.length} request(s) before sending`, { issues: corrections });
+  }
+
+  return corrected;
+};
@@ -0,0 +1,93 @@
+// File: src/utils/retry.js
+
+const logger = require('./logger');
+
+// Quota and transient server errors worth another attempt
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// Google reports some per-user quota errors as 403 with one of these reasons
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+// Network failures that usually clear up on their own
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+const MAX_RETRIES = parseInt(process.env.GOOGLE_API_MAX_RETRIES, 10);
+const BASE_DELAY_MS = parseInt(process.env.GOOGLE_API_RETRY_BASE_MS, 10) || 1000;
+const MAX_DELAY_MS = 32000;
+
+/**
+ * Run a Google API call, retrying quota and transient errors with exponential backoff
+ * @param {Function} operation - Async function performing the call
+ * @param {Object} options - Retry options
+ * @param {string} options.description - What is being attempted, for logs
+ * @param {Array} options.statuses - HTTP statuses to retry (default: 429 and 5xx)
+ * @param {number} options.maxRetries - Retries after the first attempt (default GOOGLE_API_MAX_RETRIES or 5)
+ * @returns {Promise<*>} Result of the operation
+ */
+exports.withRetry = async (operation, options = {}) => {
+  const description = options.description || 'Google API call';
+  const statuses = options.statuses || RETRYABLE_STATUSES;
+  const maxRetries = options.maxRetries !== undefined
+    ? options.maxRetries
+    : (Number.isNaN(MAX_RETRIES) ? 5 : MAX_RETRIES);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error, statuses)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt);
+      logger.warn(`${description} failed (${getErrorStatus(error) || error.code}), retrying in ${delay}ms (attempt ${attempt + 2}/${maxRetries + 1})`);
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * HTTP status of a googleapis error, if it has one
+ * @param {Error} error - Error thrown by the Google API client
+ * @returns {number|undefined} HTTP status
+ */
+function getErrorStatus(error) {
+  const status = error.status || (error.response && error.response.status) || error.code;
+  return Number.isInteger(status) ? status : undefined;
+}
+
+exports.getErrorStatus = getErrorStatus;
+
+function isRetryable(error, statuses) {
+  const status = getErrorStatus(error);
+
+  if (status === 403) {
+    const reasons = (error.errors || []).map((detail) => detail.reason);
+    return statuses.includes(429) && reasons.some((reason) => RATE_LIMIT_REASONS.includes(reason));
+  }
+
+  if (status) {
+    return statuses.includes(status);
+  }
+
+  return RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+/**
+ * Exponential backoff with jitter, honoring Retry-After when Google sends it
+ */
+function getRetryDelay(error, attempt) {
+  const headers = (error.response && error.response.headers) || {};
+  const retryAfter = parseInt(headers['retry-after'], 10);
+
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+  }
+
+  const ceiling = Math.min(BASE_DELAY_MS * 2 ** attempt, MAX_DELAY_MS);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,261 @@
+// File: src/utils/syntaxHighlighter.js
+
+/**
+ * Color themes for code blocks. Colors are hex strings; a theme may also set
+ * italic or bold per token type. foreground colors text outside any token.
+ */
+const CODE_THEMES = {
+  light: {
+    background: '#f2f2f2',
+    keyword: { color: '#d73a49' },
+    string: { color: '#032f62' },
+    comment: { color: '#6a737d', italic: true },
+    number: { color: '#005cc5' },
+    literal: { color: '#005cc5' },
+    function: { color: '#6f42c1' },
+    property: { color: '#005cc5' },
+    variable: { color: '#e36209' },
+    decorator: { color: '#6f42c1' }
+  },
+  dark: {
+    background: '#282c34',
+    foreground: '#abb2bf',
+    keyword: { color: '#c678dd' },
+    string: { color: '#98c379' },
+    comment: { color: '#7f848e', italic: true },
+    number: { color: '#d19a66' },
+    literal: { color: '#d19a66' },
+    function: { color: '#61afef' },
+    property: { color: '#e06c75' },
+    variable: { color: '#e06c75' },
+    decorator: { color: '#e5c07b' }
+  },
+  solarized: {
+    background: '#fdf6e3',
+    foreground: '#657b83',
+    keyword: { color: '#859900' },
+    string: { color: '#2aa198' },
+    comment: { color: '#93a1a1', italic: true },
+    number: { color: '#d33682' },
+    literal: { color: '#cb4b16' },
+    function: { color: '#268bd2' },
+    property: { color: '#268bd2' },
+    variable: { color: '#b58900' },
+    decorator: { color: '#6c71c4' }
+  },
+  plain: {
+    background: '#f2f2f2'
+  }
+};
+
+const JS_KEYWORDS = 'const|let|var|function|return|if|else|for|while|do|switch|case|break|continue|new|class|' +
+  'extends|import|from|export|default|async|await|try|catch|finally|throw|typeof|instanceof|in|of|this|super|' +
+  'yield|delete|void|static|get|set';
+const TS_KEYWORDS = `${JS_KEYWORDS}|interface|type|enum|implements|public|private|protected|readonly|as|` +
+  'namespace|declare|abstract|keyof|infer|is|satisfies|unknown|never|any|string|number|boolean';
+
+const C_STYLE_COMMENTS = [
+  ['comment', /\/\/[^\n]*/y],
+  ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y]
+];
+const QUOTED_STRINGS = [
+  ['string', /"(?:\\.|[^"\\\n])*"?/y],
+  ['string', /'(?:\\.|[^'\\\n])*'?/y]
+];
+const NUMBER = ['number', /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?n?)\b/y];
+
+/**
+ * Tokenizer rules per language, tried in order at every position.
+ * A rule with a null type consumes text without styling it.
+ */
+const javascriptRules = (keywords) => [
+  ...C_STYLE_COMMENTS,
+  ['string', /`(?:\\[\s\S]|[^\\`])*`?/y],
+  ...QUOTED_STRINGS,
+  NUMBER,
+  ['keyword', new RegExp(`(?:${keywords})\\b`, 'y')],
+  ['literal', /(?:true|false|null|undefined|NaN|Infinity)\b/y],
+  ['decorator', /@[A-Za-z_$][\w$]*/y],
+  ['function', /[A-Za-z_$][\w$]*(?=\s*\()/y],
+  [null, /[A-Za-z_$][\w$]*/y]
+];
+
+const LANGUAGE_RULES = {
+  javascript: javascriptRules(JS_KEYWORDS),
+  typescript: javascriptRules(TS_KEYWORDS),
+  python: [
+    ['comment', /#[^\n]*/y],
+    ['string', /[rRbBuUfF]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/y],
+    ['string', /[rRbBuUfF]{0,2}(?:"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?)/y],
+    NUMBER,
+    ['keyword', /(?:and|as|assert|async|await|break|class|continue|def|del|elif|else|except|finally|for|from|global|if|import|in|is|lambda|nonlocal|not|or|pass|raise|return|try|while|with|yield|match|case|self)\b/y],
+    ['literal', /(?:True|False|None)\b/y],
+    ['decorator', /@[A-Za-z_][\w.]*/y],
+    ['function', /[A-Za-z_]\w*(?=\s*\()/y],
+    [null, /[A-Za-z_]\w*/y]
+  ],
+  json: [
+    ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/y],
+    ['string', /"(?:\\.|[^"\\\n])*"?/y],
+    ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+    ['literal', /(?:true|false|null)\b/y]
+  ],
+  bash: [
+    ['comment', /(?<![\w$])#[^\n]*/y],
+    ['string', /'[^']*'?/y],
+    ['string', /"(?:\\.|[^"\\])*"?/y],
+    ['variable', /\$(?:\{[^}\n]*\}?|[A-Za-z_]\w*|[0-9@#?$!*-])/y],
+    ['keyword', /(?:if|then|else|elif|fi|for|in|do|done|case|esac|while|until|function|return|local|export|readonly|declare|select|time)\b/y],
+    ['function', /(?:echo|cd|printf|read|source|exit|set|unset|shift|test|eval|exec|trap|wait)\b/y],
+    [null, /[A-Za-z_][\w-]*/y],
+    NUMBER
+  ],
+  sql: [
+    ['comment', /--[^\n]*/y],
+    ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+    ['string', /'(?:''|[^'])*'?/y],
+    ['property', /"(?:""|[^"])*"?|`[^`]*`?/y],
+    NUMBER,
+    ['keyword', /(?:select|from|where|and|or|not|insert|into|values|update|set|delete|create|table|drop|alter|add|index|view|join|inner|left|right|full|outer|cross|on|as|group|by|order|having|limit|offset|union|all|distinct|case|when|then|else|end|in|is|like|between|exists|primary|key|foreign|references|default|unique|with|returning|asc|desc|begin|commit|rollback)\b/iy],
+    ['literal', /(?:null|true|false)\b/iy],
+    ['function', /[A-Za-z_]\w*(?=\s*\()/y],
+    [null, /[A-Za-z_]\w*/y]
+  ],
+  yaml: [
+    ['comment', /(?<!\S)#[^\n]*/y],
+    ['property', /[^\s:#'"{}[\],&*!|>-][^:#\n]*?(?=\s*:(?:[ \t]|$))/my],
+    ['string', /"(?:\\.|[^"\\\n])*"?/y],
+    ['string', /'(?:''|[^'\n])*'?/y],
+    ['variable', /[&*][\w-]+/y],
+    ['number', /[-+]?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/y],
+    ['literal', /(?:true|false|yes|no|on|off|null|~)(?=\s|$)/iy],
+    [null, /[^\s#:]+/y]
+  ]
+};
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  node: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  python3: 'python',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  console: 'bash',
+  yml: 'yaml',
+  jsonc: 'json',
+  postgresql: 'sql',
+  mysql: 'sql'
+};
+
+exports.CODE_THEMES = CODE_THEMES;
+
+/**
+ * Split code into highlighted tokens
+ * @param {string} code - Source code
+ * @param {string} language - Fence language tag (e.g. 'js', 'python')
+ * @returns {Array} Tokens ({ start, end, type }) in source order; unstyled text is omitted
+ */
+exports.highlight = (code, language) => {
+  const rules = LANGUAGE_RULES[resolveLanguage(language)];
+  const tokens = [];
+
+  if (!rules) {
+    return tokens;
+  }
+
+  let position = 0;
+  while (position < code.length) {
+    const match = matchRule(rules, code, position);
+
+    if (!match) {
+      position += 1;
+      continue;
+    }
+
+    const previous = tokens[tokens.length - 1];
+    if (match.type && previous && previous.type === match.type && previous.end === position) {
+      previous.end = match.end;
+    } else if (match.type) {
+      tokens.push({ start: position, end: match.end, type: match.type });
+    }
+
+    position = match.end;
+  }
+
+  return tokens;
+};
+
+/**
+ * Text style for a token type in a theme
+ * @param {Object} theme - Code theme
+ * @param {string} type - Token type
+ * @returns {Object|null} Docs textStyle, or null when the theme leaves the type unstyled
+ */
+exports.getTokenStyle = (theme, type) => {
+  const style = theme[type];
+  if (!style) {
+    return null;
+  }
+
+  const textStyle = { foregroundColor: toOptionalColor(style.color) };
+  if (style.italic) {
+    textStyle.italic = true;
+  }
+  if (style.bold) {
+    textStyle.bold = true;
+  }
+
+  return textStyle;
+};
+
+/**
+ * Convert a #rrggbb color to a Docs OptionalColor
+ * @param {string} hex - Hex color
+ * @returns {Object} OptionalColor
+ */
+function toOptionalColor(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+
+  return {
+    color: {
+      rgbColor: {
+        red: roundChannel((value >> 16) & 255),
+        green: roundChannel((value >> 8) & 255),
+        blue: roundChannel(value & 255)
+      }
+    }
+  };
+}
+
+exports.toOptionalColor = toOptionalColor;
+
+function roundChannel(channel) {
+  return Math.round((channel / 255) * 1000) / 1000;
+}
+
+function resolveLanguage(language) {
+  const name = (language || '').trim().toLowerCase();
+  return LANGUAGE_ALIASES[name] || name;
+}
+
+/**
+ * First rule matching at position; empty matches never count
+ */
+function matchRule(rules, code, position) {
+  for (const [type, regex] of rules) {
+    regex.lastIndex = position;
+    const match = regex.exec(code);
+
+    if (match && match[0].length > 0) {
+      return { type, end: position + match[0].length };
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,124 @@
+// File: src/utils/themeStyles.js
+
+const { toOptionalColor } = require('./syntaxHighlighter');
+
+// Code blocks keep single spacing whatever the theme sets for body paragraphs
+const CODE_PARAGRAPH_SPACING = {
+  lineSpacing: 100,
+  spaceAbove: points(0),
+  spaceBelow: points(0)
+};
+
+/**
+ * Translate a theme definition into the Docs styles the request visitor applies.
+ * Every part is empty when the theme does not set it, so conversions without a
+ * theme produce the same requests as before.
+ * @param {Object} theme - Theme definition (see themes/*.json)
+ * @returns {Object} { documentStyle, textStyle, paragraphStyle, codeParagraphStyle, headingStyles,
+ *   codeTextStyle, codeSpanStyle, codeBackground, syntaxTheme, linkStyle }
+ */
+exports.buildThemeStyles = (theme = {}) => {
+  const text = theme.text || {};
+  const headings = theme.headings || {};
+  const code = theme.code || {};
+
+  const paragraphStyle = buildParagraphStyle(theme.paragraph || {});
+  const codeParagraphStyle = {};
+  for (const field of Object.keys(paragraphStyle)) {
+    codeParagraphStyle[field] = CODE_PARAGRAPH_SPACING[field];
+  }
+
+  return {
+    documentStyle: buildDocumentStyle(theme.document || {}),
+    textStyle: buildTextStyle(text),
+    paragraphStyle,
+    codeParagraphStyle,
+    headingStyles: [1, 2, 3, 4, 5, 6].map((level) => ({
+      // Headings inherit the body font and color, never its size
+      textStyle: buildTextStyle({
+        fontFamily: headings.fontFamily || text.fontFamily,
+        color: headings.color || text.color,
+        bold: headings.bold,
+        fontSize: headings.sizes && headings.sizes[level - 1]
+      }),
+      paragraphStyle: {
+        namedStyleType: `HEADING_${level}`,
+        ...buildParagraphStyle(headings)
+      }
+    })),
+    codeTextStyle: buildTextStyle({ fontFamily: code.fontFamily, fontSize: code.fontSize }),
+    codeSpanStyle: {
+      ...buildTextStyle({ fontFamily: code.fontFamily }),
+      ...(code.backgroundColor ? { backgroundColor: toOptionalColor(code.backgroundColor) } : {})
+    },
+    codeBackground: code.backgroundColor,
+    syntaxTheme: code.syntaxTheme,
+    linkStyle: buildTextStyle({ color: theme.link && theme.link.color, underline: theme.link && theme.link.underline })
+  };
+};
+
+/**
+ * Docs textStyle from theme font settings
+ */
+function buildTextStyle(settings) {
+  const textStyle = {};
+
+  if (settings.fontFamily) {
+    textStyle.weightedFontFamily = { fontFamily: settings.fontFamily };
+  }
+  if (settings.fontSize) {
+    textStyle.fontSize = points(settings.fontSize);
+  }
+  if (settings.color) {
+    textStyle.foregroundColor = toOptionalColor(settings.color);
+  }
+  if (settings.bold !== undefined) {
+    textStyle.bold = settings.bold;
+  }
+  if (settings.underline !== undefined) {
+    textStyle.underline = settings.underline;
+  }
+
+  return textStyle;
+}
+
+/**
+ * Docs paragraphStyle from theme spacing settings (lineSpacing is a percentage)
+ */
+function buildParagraphStyle(settings) {
+  const paragraphStyle = {};
+
+  if (settings.lineSpacing) {
+    paragraphStyle.lineSpacing = settings.lineSpacing;
+  }
+  if (settings.spaceAbove !== undefined) {
+    paragraphStyle.spaceAbove = points(settings.spaceAbove);
+  }
+  if (settings.spaceBelow !== undefined) {
+    paragraphStyle.spaceBelow = points(settings.spaceBelow);
+  }
+
+  return paragraphStyle;
+}
+
+/**
+ * Docs documentStyle from theme page settings; margins are in points
+ */
+function buildDocumentStyle(settings) {
+  const documentStyle = {};
+
+  if (settings.backgroundColor) {
+    documentStyle.background = { color: toOptionalColor(settings.backgroundColor) };
+  }
+  for (const margin of ['marginTop', 'marginBottom', 'marginLeft', 'marginRight']) {
+    if (settings[margin] !== undefined) {
+      documentStyle[margin] = points(settings[margin]);
+    }
+  }
+
+  return documentStyle;
+}
+
+function points(magnitude) {
+  return { magnitude, unit: 'PT' };
+}